@@ -2,7 +2,8 @@
  * Backend Server for BattleTask - Focus Extension
  * 
  * This server provides:
- * 1. Educational content analysis using Google's Gemini API
+ * 1. Educational content analysis using a pluggable classifier provider
+ *    (Google's Gemini API by default, see server/providers)
  * 2. REST API for Chrome extension
  */
 
@@ -10,49 +11,171 @@
 require('dotenv').config();
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
-// Check if API key is available
-if (!GEMINI_API_KEY) {
-  console.error('WARNING: GEMINI_API_KEY is not set in environment variables');
-  console.error('API functionality will not work without a valid API key');
-  // Not exiting process - allows server to start for health checks
-  // process.exit(1); 
-}
-
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
 const validator = require('validator');
+const crypto = require('crypto');
+const { createProvider } = require('./server/providers');
+const { createCircuitBreaker, STATES: CIRCUIT_STATES } = require('./server/circuit-breaker');
+const { createClassificationCache, videoKey, pageKey, domainKey, profileKey, promptKey } = require('./server/cache');
+const { isYouTubeUrl } = require('./shared/youtube-url');
+const { resolveProfile, DEFAULT_PROFILE_ID } = require('./server/profiles');
+const { createPromptSelector } = require('./server/prompt-registry');
+const { loadDomainLists } = require('./server/domain-lists');
+const { parseFeedback, createFeedbackStore } = require('./server/feedback');
+const { errorBody, sendError, notFoundHandler, errorHandler } = require('./server/api-errors');
+const { buildOpenApiDocument, createOpenApiValidator } = require('./server/openapi');
+const { version: API_VERSION } = require('./package.json');
+const { ANALYSIS_SCHEMA, DOMAIN_SCHEMA, validate } = require('./server/model-output');
+const { scanInput, applyInjectionPenalty } = require('./server/injection');
+const { assessVerdict, DEFAULT_MIN_CONFIDENCE } = require('./server/confidence');
+const { metrics, log, recordClassification, requestMetrics, renderMetrics } = require('./server/metrics');
+const { createDeviceTokenService, requireDeviceToken } = require('./server/device-tokens');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Gemini API configuration
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// Classifier provider (Gemini, heuristic or mock – see server/providers)
+const provider = createProvider();
+console.log(`Using classifier provider: ${provider.name}`);
+
+// Check if API key is available for the Gemini provider
+if (provider.name === 'gemini' && !GEMINI_API_KEY) {
+  console.error('WARNING: GEMINI_API_KEY is not set in environment variables');
+  console.error('API functionality will not work without a valid API key');
+  // Not exiting process - allows server to start for health checks
+}
+
+// While the provider keeps failing, a circuit breaker stops calling it and the
+// offline heuristic answers instead (see callProvider). The heuristic provider
+// itself needs no fallback.
+const fallbackProvider = provider.name === 'heuristic' ? null : createProvider({ CLASSIFIER_PROVIDER: 'heuristic' });
+const providerCircuit = fallbackProvider && createCircuitBreaker({
+  windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE, 10) || 20,
+  failureRate: parseFloat(process.env.CIRCUIT_FAILURE_RATE) || 0.5,
+  openMs: parseInt(process.env.CIRCUIT_OPEN_MS, 10) || 30000,
+  onStateChange: (state, previous) => {
+    log(state === 'open' ? 'warn' : 'info', 'circuit_state_changed', { provider: provider.name, state, previous });
+    metrics.circuitTransitions.inc({ provider: provider.name, state });
+    CIRCUIT_STATES.forEach(name => metrics.circuitState.set({ provider: provider.name, state: name }, name === state ? 1 : 0));
+  },
+});
+if (providerCircuit) {
+  CIRCUIT_STATES.forEach(name => metrics.circuitState.set({ provider: provider.name, state: name }, name === 'closed' ? 1 : 0));
+}
+
+// Shared classification cache (CACHE_FILE= disables persistence)
+const classificationCache = createClassificationCache({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000,
+  ttlMs: parseInt(process.env.CACHE_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000,
+  filePath: process.env.CACHE_FILE !== undefined ? process.env.CACHE_FILE : 'data/classification-cache.json',
+});
+
+// Device tokens are signed with DEVICE_TOKEN_SECRET. Without it a random secret
+// is used, so tokens stop verifying after a restart and clients register again.
+if (!process.env.DEVICE_TOKEN_SECRET) {
+  console.warn('WARNING: DEVICE_TOKEN_SECRET is not set; issued device tokens will not survive a restart');
+}
+const deviceTokens = createDeviceTokenService({
+  secret: process.env.DEVICE_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+});
+
+// Origins allowed by CORS: EXTENSION_ORIGINS (comma-separated, e.g.
+// chrome-extension://<extension id>) or, if unset, any Chrome extension
+const EXTENSION_ORIGINS = (process.env.EXTENSION_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const CHROME_EXTENSION_ORIGIN = /^chrome-extension:\/\/[a-p]{32}$/;
+
+// Prompt versions: each task routes its split of traffic to its candidate prompt;
+// PROMPT_CANDIDATE_PERCENT overrides the split (see server/prompt-registry.js)
+const promptSelector = createPromptSelector({ candidatePercent: process.env.PROMPT_CANDIDATE_PERCENT });
+
+// Domain rule lists served to the extension (DOMAIN_LISTS_FILE overrides the bundled file),
+// with the prompt versions of the domain task so a promotion or rollback changes the ETag
+const domainLists = loadDomainLists(process.env.DOMAIN_LISTS_FILE || undefined, {
+  domainPromptVersions: provider.usesPrompts ? promptSelector.versions('domain') : null,
+});
+console.log(`Serving domain lists version ${domainLists.lists.version}`);
+
+// Override feedback from users who opted in (FEEDBACK_FILE= keeps it in memory only)
+const feedbackStore = createFeedbackStore({
+  filePath: process.env.FEEDBACK_FILE !== undefined ? process.env.FEEDBACK_FILE : 'data/feedback.jsonl',
+});
+
+// Profile used when a request does not name one
+const DEFAULT_PROFILE = resolveProfile(DEFAULT_PROFILE_ID).profile;
+
+// Input size limits for page analysis (characters, applied before escaping)
+const MAX_TITLE_LENGTH = 300;
+const MAX_CONTENT_LENGTH = 2000;
+
+// Maximum number of items accepted by /api/classify-batch
+const MAX_BATCH_ITEMS = 50;
+// Number of batch items classified in parallel
+const BATCH_CONCURRENCY = 5;
+// Calibrated confidence needed for a productive or unproductive verdict (see server/confidence.js)
+const MIN_VERDICT_CONFIDENCE = parseFloat(process.env.MIN_VERDICT_CONFIDENCE) || DEFAULT_MIN_CONFIDENCE;
+// When the v1 analysis routes were deprecated in favour of /api/v2 (Deprecation header, RFC 9745)
+const V1_DEPRECATED_AT = Date.parse('2026-10-18T00:00:00Z');
+
+// The API contract, served from /api/openapi.json; requests and responses are validated against it
+const openApiDocument = buildOpenApiDocument({ maxBatchItems: MAX_BATCH_ITEMS, version: API_VERSION });
+const openApi = createOpenApiValidator(openApiDocument);
 
 // For environments like Cloud Run that use a proxy, this setting is required
 // for express-rate-limit to correctly identify the client IP address.
 app.set('trust proxy', true);
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: EXTENSION_ORIGINS.length ? EXTENSION_ORIGINS : CHROME_EXTENSION_ORIGIN,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Deprecation', 'Link'],
+}));
 app.use(bodyParser.json());
+// Registered before the limiters so rejected requests are logged too
+app.use(requestMetrics());
+app.use(openApi.validateResponses());
 
 // -------- Rate Limiting --------
+const DAILY_DEVICE_LIMIT = 300;
+const DAILY_IP_LIMIT = 300;
+const DAILY_REGISTRATION_LIMIT = 10;
+const DAILY_FEEDBACK_LIMIT = 100;
+
+// Stores are kept so batch requests can charge additional quota units
+const deviceStore = new MemoryStore();
+const ipStore = new MemoryStore();
+
+// Routes that do not use up analysis quota: read-only routes the extension
+// polls, and device registration and feedback, which have their own limiters
+const QUOTA_FREE_ROUTES = ['GET /quota', 'GET /domain-lists', 'GET /openapi.json', 'POST /register-device', 'POST /feedback'];
+
+/**
+ * Whether the request is exempt from the daily limits.
+ * @param {object} req The Express request (path relative to /api).
+ * @returns {boolean}
+ */
+function isQuotaFree(req) {
+  return QUOTA_FREE_ROUTES.includes(`${req.method} ${req.path}`);
+}
+
 // 1. Device-ID based limiter (stricter – 300 req / day)
 const deviceLimiter = rateLimit({
   windowMs: 24 * 60 * 60 * 1000, // 24 h
-  max: 300,
-  skip: (req) => {
-    const deviceId = req.headers['x-device-id'];
-    // Skip if no valid UUID – let the IP limiter handle it instead
-    return !(deviceId && validator.isUUID(deviceId));
-  },
-  keyGenerator: (req) => `device-${req.headers['x-device-id']}`,
-  message: { success: false, error: 'Daily device limit reached. Try again tomorrow.' },
+  max: DAILY_DEVICE_LIMIT,
+  store: deviceStore,
+  // Skip if there is no verified device token – let the IP limiter handle it instead
+  skip: (req) => !req.deviceId || isQuotaFree(req),
+  keyGenerator: (req) => `device-${req.deviceId}`,
+  // Kept apart from the IP limiter's req.rateLimit for request logging
+  requestPropertyName: 'deviceRateLimit',
+  message: errorBody('rate_limited', 'Daily device limit reached. Try again tomorrow.'),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -60,36 +183,214 @@ const deviceLimiter = rateLimit({
 // 2. IP based fallback limiter (broader – 1000 req / day)
 const ipLimiter = rateLimit({
   windowMs: 24 * 60 * 60 * 1000,
-  max: 300,
+  max: DAILY_IP_LIMIT,
+  store: ipStore,
   keyGenerator: (req) => `ip-${req.ip}`,
-  message: { success: false, error: 'Daily IP limit reached. Try again tomorrow.' },
+  skip: (req) => isQuotaFree(req),
+  message: errorBody('rate_limited', 'Daily IP limit reached. Try again tomorrow.'),
   standardHeaders: true,
   legacyHeaders: false,
 });
 
+// 3. Registration limiter, so new device tokens cannot be minted to reset the device limit
+const registrationLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000,
+  max: DAILY_REGISTRATION_LIMIT,
+  keyGenerator: (req) => `register-${req.ip}`,
+  requestPropertyName: 'registrationRateLimit',
+  message: errorBody('rate_limited', 'Too many device registrations. Try again tomorrow.'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// 4. Feedback limiter, per device when registered
+const feedbackLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000,
+  max: DAILY_FEEDBACK_LIMIT,
+  keyGenerator: (req) => (req.deviceId ? `feedback-device-${req.deviceId}` : `feedback-ip-${req.ip}`),
+  requestPropertyName: 'feedbackRateLimit',
+  message: errorBody('rate_limited', 'Too much feedback today. Try again tomorrow.'),
+  // The RateLimit-* headers report the analysis quota; this limit stays out of them
+  standardHeaders: false,
+  legacyHeaders: false,
+});
+
+// Verify device tokens on all API routes except registration and the API document.
+// Requests without a token get only the IP limit until DEVICE_TOKENS_REQUIRED=true,
+// which is meant for after the rollout, once extension builds register themselves.
+app.use('/api/', requireDeviceToken(deviceTokens, {
+  required: process.env.DEVICE_TOKENS_REQUIRED === 'true',
+  exemptPaths: ['/register-device', '/openapi.json'],
+}));
+
+/**
+ * Report the tighter of the two limiters in the RateLimit-* headers.
+ * Each limiter writes its own headers, so by default the IP limiter (which
+ * runs last) would hide an exhausted device quota.
+ */
+function tightestQuotaHeaders(req, res, next) {
+  const limits = [req.deviceRateLimit, req.rateLimit].filter(Boolean);
+  if (limits.length > 1) {
+    const tightest = limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.setHeader('RateLimit-Limit', tightest.limit);
+    res.setHeader('RateLimit-Remaining', tightest.remaining);
+    if (tightest.resetTime) {
+      res.setHeader('RateLimit-Reset', Math.max(0, Math.ceil((tightest.resetTime.getTime() - Date.now()) / 1000)));
+    }
+  }
+  next();
+}
+
 // Apply both limiters to all API routes (device first, then IP)
-app.use('/api/', deviceLimiter, ipLimiter);
+app.use('/api/', deviceLimiter, ipLimiter, tightestQuotaHeaders);
+
+// Reject request bodies and query parameters that do not match the API contract
+app.use(openApi.validateRequests());
 
 /**
- * Extracts a JSON object from a string, handling markdown code blocks.
- * @param {string} text The text response from the AI.
- * @returns {object|null} The parsed JSON object or null if parsing fails.
+ * The quota buckets that apply to a request: the IP bucket and, for
+ * registered devices, the device bucket.
+ * @param {object} req The Express request.
+ * @returns {object[]} {limiter, store, key, max} for each bucket.
  */
-function extractJsonFromResponse(text) {
-  if (!text) return null;
-
-  let jsonString = text;
-  if (jsonString.startsWith('```json')) {
-    jsonString = jsonString.substring(7, jsonString.length - 3).trim();
-  } else if (jsonString.startsWith('```')) {
-    jsonString = jsonString.substring(3, jsonString.length - 3).trim();
+function quotaBuckets(req) {
+  const buckets = [{ limiter: 'ip', store: ipStore, key: `ip-${req.ip}`, max: DAILY_IP_LIMIT }];
+  if (req.deviceId) {
+    buckets.push({ limiter: 'device', store: deviceStore, key: `device-${req.deviceId}`, max: DAILY_DEVICE_LIMIT });
+  }
+  return buckets;
+}
+
+/**
+ * Charge extra quota units to the limiters that apply to a request.
+ * The limiter middleware has already counted the request itself; this is used
+ * by routes whose cost depends on the amount of work requested.
+ * @param {object} req The Express request.
+ * @param {number} units Number of units to charge.
+ * @returns {Promise<number>} Number of units actually granted before a limit was hit.
+ */
+async function chargeQuota(req, units) {
+  const buckets = quotaBuckets(req);
+
+  let granted = 0;
+  while (granted < units) {
+    const results = await Promise.all(buckets.map(bucket => bucket.store.increment(bucket.key)));
+    if (results.some((result, i) => result.totalHits > buckets[i].max)) {
+      await Promise.all(buckets.map(bucket => bucket.store.decrement(bucket.key)));
+      break;
+    }
+    granted++;
+  }
+  buckets.forEach(({ limiter }) => metrics.quotaUnits.inc({ limiter }, granted));
+  return granted;
+}
+
+/**
+ * Read the current quota usage of a request's buckets without charging it.
+ * The reported quota is the tighter of the buckets. resetTime is null while a
+ * bucket is unused, since its 24-hour window starts with the first request.
+ * @param {object} req The Express request.
+ * @returns {Promise<Object>} {limit, used, remaining, resetTime, limits}.
+ */
+async function getQuotaStatus(req) {
+  const now = Date.now();
+  const limits = await Promise.all(quotaBuckets(req).map(async ({ limiter, store, key, max }) => {
+    const client = await store.get(key);
+    const active = !!client && client.resetTime.getTime() > now;
+    const used = active ? Math.min(client.totalHits, max) : 0;
+    return {
+      limiter,
+      limit: max,
+      used,
+      remaining: max - used,
+      resetTime: active ? client.resetTime.toISOString() : null,
+    };
+  }));
+
+  const tightest = limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  return {
+    limit: tightest.limit,
+    used: tightest.used,
+    remaining: tightest.remaining,
+    resetTime: tightest.resetTime,
+    limits,
+  };
+}
+
+/**
+ * Pick the prompt version for a classification and build its cache key.
+ * Providers without prompts get no version.
+ * @param {string} task 'video', 'page' or 'domain'.
+ * @param {string|null} baseKey Key from videoKey, pageKey or domainKey.
+ * @param {object} profile Resolved user profile.
+ * @returns {{cacheKey: string|null, promptVersion: string|null}}
+ */
+function planClassification(task, baseKey, profile) {
+  const scopedKey = profileKey(baseKey, profile);
+  const promptVersion = provider.usesPrompts ? promptSelector.select(task, scopedKey) : null;
+  return { cacheKey: promptKey(scopedKey, promptVersion), promptVersion };
+}
+
+/**
+ * Call the provider through the circuit breaker.
+ * While the breaker is open, or when the call fails, the heuristic fallback
+ * answers instead and the answer is reported as degraded.
+ * @param {string} method 'analyzeVideo', 'analyzePage' or 'classifyDomain'.
+ * @param {*} input The method's input.
+ * @param {object} context {profile, promptVersion}.
+ * @returns {Promise<{result: object|null, degraded: boolean}>} The provider's answer.
+ */
+async function callProvider(method, input, context) {
+  if (!providerCircuit) {
+    return { result: await provider[method](input, context), degraded: false };
   }
 
   try {
-    return JSON.parse(jsonString);
+    return { result: await providerCircuit.execute(() => provider[method](input, context)), degraded: false };
   } catch (error) {
-    console.error('Failed to parse JSON from AI response. Text:', text, 'Error:', error);
-    return null;
+    if (error.code !== 'CIRCUIT_OPEN') {
+      log('warn', 'provider_call_failed', { provider: provider.name, method, error: error.message });
+    }
+    const result = await fallbackProvider[method](input, { profile: context.profile, promptVersion: null });
+    return { result, degraded: true };
+  }
+}
+
+/**
+ * Look up a classification in the cache, computing it with the provider on a miss,
+ * and record the cache result and provider outcome.
+ * Degraded answers (see callProvider) are marked `degraded: true` and never
+ * cached, so the page is classified properly once the provider recovers.
+ * @param {string} task 'video', 'page' or 'domain'.
+ * @param {string|null} baseKey Key from videoKey, pageKey or domainKey; results are not cached without one.
+ * @param {object} profile Resolved user profile.
+ * @param {Function} compute Async function called with `classify(method, input)`, which
+ *   calls the provider with the request's profile and prompt version; returns the
+ *   validated result or null.
+ * @param {object} [trace] Collects cache and outcome details for the request log (e.g. res.locals).
+ * @returns {Promise<{value: object|null, promptVersion: string|null}>} The classification
+ *   (null if unclassified) and the prompt version that produced it (null when degraded).
+ */
+async function cachedClassification(task, baseKey, profile, compute, trace) {
+  const { cacheKey, promptVersion } = planClassification(task, baseKey, profile);
+  let outcome = 'error';
+  try {
+    const { value, source } = await classificationCache.getOrCompute(cacheKey, async () => {
+      let degraded = false;
+      const result = await compute(async (method, input) => {
+        const answer = await callProvider(method, input, { profile, promptVersion });
+        degraded = answer.degraded;
+        return answer.result;
+      });
+      outcome = result ? 'classified' : 'unclassified';
+      return result && degraded ? { ...result, degraded: true } : result;
+    }, { shouldStore: value => !value.degraded });
+    if (value) outcome = value.degraded ? 'degraded' : 'classified';
+    recordClassification({ task, provider: provider.name, cacheSource: source, outcome, promptVersion }, trace);
+    return { value, promptVersion: value && value.degraded ? null : promptVersion };
+  } catch (error) {
+    recordClassification({ task, provider: provider.name, cacheSource: 'computed', outcome: 'error', promptVersion }, trace);
+    throw error;
   }
 }
 
@@ -98,212 +399,559 @@ function extractJsonFromResponse(text) {
  * @param {string} title The title of the YouTube video.
  * @param {string} channelName The name of the YouTube channel.
  * @param {string} description The description of the YouTube video.
+ * @param {object} [options]
+ * @param {string|null} [options.cacheKey] Cache key for the video; results are not cached without one.
+ * @param {object} [options.profile] Resolved user profile.
+ * @param {object} [options.trace] Collects cache and outcome details for the request log.
  * @returns {Promise<Object>} A promise that resolves to the analysis object.
  */
-async function analyzeYouTubeContent(title, channelName, description) {
+async function analyzeYouTubeContent(title, channelName, description, { cacheKey = null, profile = DEFAULT_PROFILE, trace } = {}) {
   if (!title) {
     return { isProductive: false, score: 0, categories: [], explanation: 'Empty or invalid title provided.' };
   }
 
   try {
-    const prompt = `
-        Analyze this YouTube video based on its title, channel, and description.
-
-        Title: "${title}"
-        Channel: "${channelName || 'N/A'}"
-        Description (first 200 chars): "${(description || 'N/A').substring(0, 200)}"
-
-        Classify strictly as "productive" or "unproductive".
-        Provide a concise explanation.
-        Assign a score (0-100).
-        List relevant categories (1-3 words each).
-
-        RETURN JSON ONLY:
-        {
-          "isProductive": boolean,
-          "score": number,
-          "categories": ["string"],
-          "explanation": "string"
-        }
-       
-
-        CRITICAL RULES FOR "productive" (score 75-100):
-        1. Title, channel, or description indicate: Lectures, tutorials, documentaries, academic lessons (math, science, history, programming, languages, etc.), how-to guides.
-
-        If content matches CRITICAL RULES, it IS "non-productive".
-        Cricital Rules: Content focused on entertainment (gaming, vlogs, comedy, sports, songs, anything entertainment, shopping,SNL,mrbeast,kai cenant) is "unproductive".
-        BE EXTREMELY STRICT. ONLY CLEARLY PRODUCTIVE VIDEOS SHOULD BE GREEN
-      `;
-
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const responseText = response.text();
-    const analysis = extractJsonFromResponse(responseText);
+    const { value: analysis, promptVersion } = await cachedClassification('video', cacheKey, profile, async (classify) => {
+      const result = await classify('analyzeVideo', { title, channelName, description });
+      return checkForInjection(validateProviderOutput(result, ANALYSIS_SCHEMA), { title, channelName, description });
+    }, trace);
 
     if (!analysis) {
-        return { isProductive: false, score: 0, categories: [], explanation: 'Could not parse AI response.' };
+      return { ...unclassifiedAnalysis(), profile: profile.key, promptVersion };
     }
     
-    // Sanitize and normalize response
-    analysis.isProductive = typeof analysis.isProductive === 'boolean' ? analysis.isProductive : false;
-    analysis.score = typeof analysis.score === 'number' ? Math.min(100, Math.max(0, analysis.score)) : 0;
-    analysis.categories = Array.isArray(analysis.categories) ? analysis.categories : [];
-    analysis.explanation = typeof analysis.explanation === 'string' ? analysis.explanation : '';
-    
-    return analysis;
+    return { status: 'classified', ...analysis, profile: profile.key, promptVersion };
 
   } catch (error) {
     console.error('Error analyzing YouTube content:', error);
-    return { isProductive: false, score: 0, categories: [], explanation: 'Error during analysis.' };
+    return errorAnalysis();
+  }
+}
+
+/**
+ * Analyze a general web page using its title and extracted text content.
+ * @param {string} title The page title.
+ * @param {string} content Text extracted from the page (already length-capped).
+ * @param {string} siteName Human-readable site name, if the extension detected one.
+ * @param {string} domain The hostname the page was loaded from.
+ * @param {object} [options]
+ * @param {string|null} [options.cacheKey] Cache key for the page; results are not cached without one.
+ * @param {object} [options.profile] Resolved user profile.
+ * @param {object} [options.trace] Collects cache and outcome details for the request log.
+ * @returns {Promise<Object>} A promise that resolves to the analysis object.
+ */
+async function analyzeWebContent(title, content, siteName, domain, { cacheKey = null, profile = DEFAULT_PROFILE, trace } = {}) {
+  if (!title) {
+    return { isProductive: false, score: 0, categories: [], explanation: 'Empty or invalid title provided.' };
+  }
+
+  try {
+    const { value: analysis, promptVersion } = await cachedClassification('page', cacheKey, profile, async (classify) => {
+      const result = await classify('analyzePage', { title, content, siteName, domain });
+      return checkForInjection(validateProviderOutput(result, ANALYSIS_SCHEMA), { title, content, siteName });
+    }, trace);
+
+    if (!analysis) {
+      return { ...unclassifiedAnalysis(), profile: profile.key, promptVersion };
+    }
+
+    return { status: 'classified', ...analysis, profile: profile.key, promptVersion };
+
+  } catch (error) {
+    console.error('Error analyzing web content:', error);
+    return errorAnalysis();
+  }
+}
+
+/**
+ * Classify a whole domain as always productive or always unproductive.
+ * When the provider gives no valid answer the result is reported as
+ * unclassified (classification: null) and is not cached. Provider errors are thrown.
+ * @param {string} domain The hostname to classify.
+ * @param {object} [options]
+ * @param {object} [options.profile] Resolved user profile.
+ * @param {object} [options.trace] Collects cache and outcome details for the request log.
+ * @returns {Promise<Object>} A promise that resolves to {status, classification, profile, promptVersion}.
+ */
+async function classifyDomain(domain, { profile = DEFAULT_PROFILE, trace } = {}) {
+  const { value: classificationResult, promptVersion } = await cachedClassification('domain', domainKey(domain), profile, async (classify) => {
+    const result = await classify('classifyDomain', domain);
+    return validateProviderOutput(result, DOMAIN_SCHEMA);
+  }, trace);
+
+  if (!classificationResult) {
+    return { status: 'unclassified', classification: null, profile: profile.key, promptVersion };
+  }
+
+  return { status: 'classified', ...classificationResult, profile: profile.key, promptVersion };
+}
+
+/**
+ * The cache key of an item to classify.
+ * @param {string} type 'video', 'page' or 'domain'.
+ * @param {object} input The item's fields.
+ * @returns {string|null}
+ */
+function baseKeyFor(type, input) {
+  if (type === 'video') return videoKey(input.url);
+  if (type === 'page') return pageKey(input.url);
+  return domainKey(input.domain);
+}
+
+/**
+ * Classify one video, page or domain. Every route, v1 or v2, single or batch,
+ * goes through here. Untrusted text is truncated and escaped here, so callers
+ * pass request fields as they arrived.
+ * @param {string} type 'video', 'page' or 'domain'.
+ * @param {object} input {title, url, channelName, description} for a video,
+ *   {title, url, content, siteName, domain} for a page, {domain} for a domain.
+ * @param {object} options
+ * @param {object} options.profile Resolved user profile.
+ * @param {object} [options.trace] Collects cache and outcome details for the request log.
+ * @returns {Promise<Object>} The classification in the v2 shape: {type, status, verdict, confidence,
+ *   isProductive, score, categories, explanation, profile, promptVersion, degraded}, plus
+ *   {classification, domain} for domains.
+ */
+async function classifyInput(type, input, { profile, trace }) {
+  const clean = (value, maxLength = MAX_TITLE_LENGTH) =>
+    (typeof value === 'string' ? validator.escape(value.substring(0, maxLength)) : '');
+  const cacheKey = baseKeyFor(type, input);
+
+  if (type === 'video') {
+    const analysis = await analyzeYouTubeContent(
+      clean(input.title), clean(input.channelName), clean(input.description, MAX_CONTENT_LENGTH),
+      { cacheKey, profile, trace }
+    );
+    return withVerdict({ type, ...analysis, degraded: Boolean(analysis.degraded) });
+  }
+
+  if (type === 'page') {
+    const pageDomain = typeof input.domain === 'string' && input.domain ? input.domain : new URL(input.url).hostname;
+    const analysis = await analyzeWebContent(
+      clean(input.title), clean(input.content, MAX_CONTENT_LENGTH), clean(input.siteName), clean(pageDomain),
+      { cacheKey, profile, trace }
+    );
+    return withVerdict({ type, ...analysis, degraded: Boolean(analysis.degraded) });
   }
+
+  const domain = input.domain.trim();
+  const { status, classification, promptVersion, degraded = false } = await classifyDomain(domain, { profile, trace });
+  // Mixed domains have no verdict of their own: their pages are classified one by one
+  const isProductive = classification && classification !== 'mixed' ? classification === 'always_productive' : null;
+  let explanation = 'The classifier did not return a usable answer for this domain.';
+  if (classification === 'mixed') {
+    explanation = 'Domain classified as mixed: its pages need to be classified individually.';
+  } else if (classification) {
+    explanation = `Domain classified as ${classification.replace(/_/g, ' ')}.`;
+  }
+  return withVerdict({
+    type,
+    status,
+    isProductive,
+    score: isProductive === null ? null : (isProductive ? 100 : 0),
+    categories: [],
+    explanation,
+    classification,
+    domain,
+    profile: profile.key,
+    promptVersion,
+    degraded,
+  });
+}
+
+/**
+ * Add the three-way verdict and calibrated confidence to a classification.
+ * Degraded answers and the heuristic provider are calibrated as weaker evidence.
+ * @param {object} result A classification with isProductive and score.
+ * @returns {object} The classification with verdict and confidence.
+ */
+function withVerdict(result) {
+  const curve = result.degraded || provider.name === 'heuristic' ? 'heuristic' : 'model';
+  return { ...result, ...assessVerdict(result, { curve, minConfidence: MIN_VERDICT_CONFIDENCE }) };
+}
+
+/**
+ * Convert a classification to the response shape of the v1 routes.
+ * @param {object} result A classification from classifyInput.
+ * @returns {object} The v1 analysis, or {status, classification, profile, promptVersion, domain, degraded} for domains.
+ */
+function toV1Result({ type, ...result }) {
+  if (type !== 'domain') return result;
+  const { status, classification, profile, promptVersion, domain, degraded } = result;
+  return { status, classification, profile, promptVersion, domain, degraded };
+}
+
+/**
+ * Work out how a v1 batch item should be classified.
+ * YouTube URLs with a title use the video classifier, other URLs with a title
+ * use the page classifier and anything else falls back to the domain classifier.
+ * @param {object} item A batch item ({title, url, domain, ...}).
+ * @returns {object} {type, input} or {error} for an invalid item.
+ */
+function planBatchItem(item) {
+  const { title, url, domain } = item;
+  const hasTitle = typeof title === 'string' && title.trim() !== '';
+  const hasUrl = typeof url === 'string' && validator.isURL(url, { require_protocol: true });
+
+  if (hasTitle && hasUrl) {
+    return { type: isYouTubeUrl(url) ? 'video' : 'page', input: item };
+  }
+
+  const itemDomain = typeof domain === 'string' && domain.trim() ? domain.trim() : (hasUrl ? new URL(url).hostname : '');
+  if (!itemDomain) {
+    return { error: 'Each item needs a title and URL, or a domain.' };
+  }
+  return { type: 'domain', input: { domain: itemDomain } };
+}
+
+/**
+ * Check a v2 batch item, which names its type explicitly.
+ * @param {object} item A batch item ({type, ...fields of the single-item route}).
+ * @returns {object} {type, input} or {error} for an invalid item.
+ */
+function planBatchItemV2(item) {
+  const hasTitle = typeof item.title === 'string' && item.title.trim() !== '';
+  const hasUrl = typeof item.url === 'string' && validator.isURL(item.url, { require_protocol: true });
+
+  if (item.type === 'video' && !(hasTitle && hasUrl && isYouTubeUrl(item.url))) {
+    return { error: 'A video needs a title and a YouTube URL.' };
+  }
+  if (item.type === 'page' && !(hasTitle && hasUrl)) {
+    return { error: 'A page needs a title and a URL.' };
+  }
+  if (item.type === 'domain' && !(typeof item.domain === 'string' && item.domain.trim())) {
+    return { error: 'A domain item needs a domain.' };
+  }
+  return { type: item.type, input: item };
+}
+
+/**
+ * Classify planned batch items with one profile.
+ * Each item that needs a fresh classification costs one quota unit (the
+ * request itself covers the first); items already cached are free, and items
+ * beyond the remaining quota are not classified.
+ * @param {object} req The Express request, for charging quota.
+ * @param {object[]} plans Plans from planBatchItem or planBatchItemV2.
+ * @param {object} profile Resolved user profile for the whole batch.
+ * @returns {Promise<{charged: number, results: object[]}>} One entry per item, in order:
+ *   {index, result} on success, {index, code, error} otherwise.
+ */
+async function runBatch(req, plans, profile) {
+  const uncached = plans.filter(plan => !plan.error &&
+    classificationCache.get(planClassification(plan.type, baseKeyFor(plan.type, plan.input), profile).cacheKey) === null);
+  const charged = uncached.length > 1 ? 1 + await chargeQuota(req, uncached.length - 1) : uncached.length;
+  const overQuota = new Set(uncached.slice(charged));
+
+  const results = await mapWithConcurrency(plans, BATCH_CONCURRENCY, async (plan, index) => {
+    if (plan.error) {
+      return { index, code: 'invalid_request', error: plan.error };
+    }
+    if (overQuota.has(plan)) {
+      return { index, code: 'rate_limited', error: 'Daily limit reached before this item could be classified.' };
+    }
+    try {
+      return { index, result: await classifyInput(plan.type, plan.input, { profile }) };
+    } catch (error) {
+      console.error(`Error classifying batch item ${index}:`, error);
+      return { index, code: 'internal_error', error: 'Error during analysis.' };
+    }
+  });
+
+  return { charged, results };
+}
+
+/**
+ * Run an async function over a list with a bounded number of calls in flight.
+ * @param {Array} items The inputs.
+ * @param {number} limit Maximum number of concurrent calls.
+ * @param {Function} fn Async function called with (item, index).
+ * @returns {Promise<Array>} The results, in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Validate a provider result against a schema.
+ * Every provider's output goes through this, not only the model-backed ones,
+ * so routes always return the same shape.
+ * @param {object|null} result The provider result.
+ * @param {object} schema ANALYSIS_SCHEMA or DOMAIN_SCHEMA.
+ * @returns {object|null} The validated result, or null if it is unusable.
+ */
+function validateProviderOutput(result, schema) {
+  if (!result) return null;
+
+  const output = validate(result, schema);
+  if (!output.valid) {
+    log('warn', 'invalid_provider_output', { provider: provider.name, schema: schema.name, errors: output.errors });
+    return null;
+  }
+  return output.value;
+}
+
+/**
+ * Flag and down-weight an analysis whose untrusted input contains prompt-injection phrasing.
+ * @param {object|null} analysis The validated analysis (null passes through).
+ * @param {object} input The untrusted fields that were sent to the provider.
+ * @returns {object|null} The analysis, adjusted if the input was flagged.
+ */
+function checkForInjection(analysis, input) {
+  if (!analysis) return null;
+
+  const scan = scanInput(input);
+  if (scan.flagged) {
+    log('warn', 'injection_suspected', { fields: scan.fields, patterns: scan.patterns });
+  }
+  return applyInjectionPenalty(analysis, scan);
+}
+
+/**
+ * The analysis returned when classification failed altogether. It carries no
+ * verdict and is marked degraded so clients show a neutral state.
+ * @returns {object}
+ */
+function errorAnalysis() {
+  return { status: 'error', isProductive: null, score: null, categories: [], explanation: 'Error during analysis.', degraded: true };
+}
+
+/**
+ * The analysis returned when no valid classification could be obtained.
+ * isProductive and score are null so clients do not mistake it for an
+ * unproductive verdict.
+ * @returns {object}
+ */
+function unclassifiedAnalysis() {
+  return {
+    status: 'unclassified',
+    isProductive: null,
+    score: null,
+    categories: [],
+    explanation: 'The classifier did not return a usable answer for this page.'
+  };
 }
 
 // API Routes
 
 // Health check endpoint
 app.get('/', (req, res) => {
+  const circuit = providerCircuit ? providerCircuit.status() : null;
   res.json({
-    status: 'ok',
+    // Still 200 while degraded: the server answers, only with the fallback classifier
+    status: circuit && circuit.state !== 'closed' ? 'degraded' : 'ok',
     message: 'BattleTask API is running',
     apiKeyConfigured: !!GEMINI_API_KEY,
+    provider: provider.name,
+    prompts: provider.usesPrompts ? promptSelector.describe() : null,
+    circuit,
+    cacheSize: classificationCache.size,
     timestamp: new Date().toISOString()
   });
 });
 
-// Endpoint for analyzing YouTube content
-app.post('/api/analyze-youtube-content', async (req, res) => {
-  try {
-    const { title, url, channelName, description } = req.body;
+/**
+ * Restrict operator endpoints to holders of METRICS_TOKEN (sent as a Bearer token).
+ * They are open when METRICS_TOKEN is not set.
+ */
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return sendError(res, 'unauthorized', 'Unauthorized.');
+  }
+  next();
+}
 
-    if (!title || !url || !url.includes('youtube.com')) {
-      return res.status(400).json({ success: false, error: 'Valid YouTube title and URL are required.' });
-    }
+// Prometheus metrics. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-    const cleanTitle = validator.escape(title);
-    const cleanChannelName = channelName ? validator.escape(channelName) : '';
-    const cleanDescription = description ? validator.escape(description) : '';
+// Disagreement report over the override feedback, per domain and per prompt version.
+// ?minRecords= hides domains with little feedback; ?limit= caps the domain list.
+app.get('/feedback/report', requireMetricsToken, (req, res) => {
+  const minRecords = Math.max(1, parseInt(req.query.minRecords, 10) || 1);
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  res.json({ success: true, ...feedbackStore.report({ minRecords, limit }) });
+});
 
-    const analysis = await analyzeYouTubeContent(cleanTitle, cleanChannelName, cleanDescription);
+// The OpenAPI document describing every route. Public, like registration, so
+// clients and tooling can fetch it without a device token.
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
-    res.json({ success: true, ...analysis });
+// Endpoint for registering a device. Returns a signed token that the extension
+// sends as X-Device-Token on every other API request.
+app.post('/api/register-device', registrationLimiter, (req, res) => {
+  const { deviceId, token, expiresAt } = deviceTokens.issue();
+  log('info', 'device_registered', { deviceId });
+  res.json({ success: true, deviceId, token, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+// Endpoint reporting the remaining daily analyses for the calling device.
+// It is exempt from the limiters, so checking does not use up quota.
+app.get('/api/quota', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getQuotaStatus(req)) });
   } catch (error) {
-    console.error('Error in /api/analyze-youtube-content:', error);
-    res.status(500).json({ success: false, error: 'Internal server error.' });
+    console.error('Error in /api/quota:', error);
+    sendError(res, 'internal_error', 'Internal server error.');
   }
 });
 
-// Endpoint for classifying domains
-app.post('/api/classify-domain', async (req, res) => {
-  try {
-    const { domain } = req.body;
+// Endpoint serving the always-productive / always-unproductive domain lists.
+// Clients send the last ETag as If-None-Match and get 304 when nothing changed.
+app.get('/api/domain-lists', (req, res) => {
+  res.set('ETag', domainLists.etag);
+  res.set('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json({ success: true, ...domainLists.lists });
+});
 
-    if (!domain) {
-      return res.status(400).json({ error: 'Domain is required' });
+// Endpoint receiving override feedback from users who opted in: the page, the
+// model's verdict and the user's verdict. It does not use up analysis quota.
+app.post('/api/feedback', feedbackLimiter, async (req, res) => {
+  try {
+    const { feedback, error } = parseFeedback(req.body);
+    if (error) {
+      return sendError(res, 'invalid_request', error);
     }
 
-    const prompt = `
-      Analyze domain: "${domain}"
-      Classify STRICTLY as "always_productive" or "always_unproductive".
-      Prioritize DOMINANT purpose.
-
-      RETURN JSON ONLY:
-      {
-        "classification": "chosen_classification_value"
-      }
-
-      RULES:
-      "always_productive": Education (e.g., coursera.org), Work/Business (e.g., github.com), Essential Info (e.g., gov sites).
-      "always_unproductive": Entertainment (e.g., netflix.com), Social Media (e.g., tiktok.com), Shopping (e.g., amazon.com).
-
-      EXAMPLES:
-      Domain: "github.com" -> {"classification": "always_productive"}
-      Domain: "tiktok.com" -> {"classification": "always_unproductive"}
+    const { profile, error: profileError } = resolveProfile(req.body.profile);
+    if (profileError) {
+      return sendError(res, 'invalid_request', profileError);
+    }
 
-      Analyze: "${domain}"
-    `;
+    await feedbackStore.record({ ...feedback, profile: profile.key });
+    res.locals.outcome = feedback.modelVerdict.isProductive === feedback.userVerdict ? 'agreed' : 'disagreed';
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in /api/feedback:', error);
+    sendError(res, 'internal_error', 'Internal server error.');
+  }
+});
 
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const classificationResult = extractJsonFromResponse(response.text());
+/**
+ * Wrap an analysis route handler: resolves the request's profile (400 if it is
+ * invalid) and reports unexpected errors in the error envelope.
+ * @param {Function} handler Async function called with (req, res, profile).
+ * @returns {Function} The Express handler.
+ */
+function analysisRoute(handler) {
+  return async (req, res) => {
+    const { profile, error: profileError } = resolveProfile(req.body.profile);
+    if (profileError) {
+      return sendError(res, 'invalid_request', profileError);
+    }
 
-    if (!classificationResult || !['always_productive', 'always_unproductive'].includes(classificationResult.classification)) {
-        console.warn(`Unexpected Gemini response for domain classification. Defaulting for domain: ${domain}`);
-        return res.status(200).json({ classification: 'always_unproductive', domain: domain });
+    try {
+      await handler(req, res, profile);
+    } catch (error) {
+      console.error(`Error in ${req.path}:`, error);
+      sendError(res, 'internal_error', 'Internal server error.');
     }
+  };
+}
 
-    console.log(`Gemini classified domain: ${domain} as ${classificationResult.classification}`);
-    // backend.js – inside your Express handler
-  try {
-    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip;
+/**
+ * Mark a v1 route as deprecated and point clients at its v2 successor.
+ * @param {string} successor Path of the v2 route.
+ * @returns {Function} The middleware.
+ */
+function deprecatedFor(successor) {
+  return (req, res, next) => {
+    res.set('Deprecation', `@${Math.floor(V1_DEPRECATED_AT / 1000)}`);
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    next();
+  };
+}
 
-    // ipinfo.io returns { city, region, country, … }
-    const { city, region, country } = await fetch(`https://ipinfo.io/${ip}/json`)
-                                            .then(r => r.json())
-                                            .catch(() => ({}));   // fail-safe
+// -------- API v2 --------
+// One naming scheme for every kind of analysis, and one result shape
+// ({success, result: {type, status, isProductive, score, ...}}) for all of them.
 
-    console.log(
-      `Classify-domain call from: ${city || 'unknown city'}, ` +
-      `${region || 'unknown region'}, ${country || 'unknown country'}`
-    );
+app.post('/api/v2/analyze/video', analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, result: await classifyInput('video', req.body, { profile, trace: res.locals }) });
+}));
 
-    // …rest of your code…
-  } catch (err) {
-    console.error(err);
-    res.status(500).end();
-  }
-    return res.status(200).json({ ...classificationResult, domain: domain });
+app.post('/api/v2/analyze/page', analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, result: await classifyInput('page', req.body, { profile, trace: res.locals }) });
+}));
 
-  } catch (error) {
-    console.error('Error classifying domain with Gemini:', error);
-    return res.status(500).json({ error: 'Error processing domain classification request' });
-  }
-});
+app.post('/api/v2/analyze/domain', analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, result: await classifyInput('domain', req.body, { profile, trace: res.locals }) });
+}));
 
-// Endpoint kept for backward-compatibility: analyze a title (YouTube only)
-app.post('/api/analyze-title', async (req, res) => {
-  try {
-    const { title, url, channelName, description } = req.body;
+// Items name their type explicitly; one profile applies to the whole batch
+app.post('/api/v2/analyze/batch', analysisRoute(async (req, res, profile) => {
+  const { charged, results } = await runBatch(req, req.body.items.map(planBatchItemV2), profile);
+  res.json({
+    success: true,
+    charged,
+    results: results.map(({ index, result, code, error }) => (result
+      ? { index, success: true, result }
+      : { index, success: false, error: { code, message: error } })),
+  });
+}));
 
-    if (!title || !url) {
-      return res.status(400).json({ success: false, error: 'Title and URL are required.' });
-    }
+// -------- API v1 (deprecated) --------
+// Thin adapters over the v2 logic, kept so older extension builds keep working.
 
-    if (!url.includes('youtube.com')) {
-      return res.status(400).json({ success: false, error: 'This endpoint now only supports YouTube URLs.' });
-    }
+app.post('/api/analyze-youtube-content', deprecatedFor('/api/v2/analyze/video'), analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, ...toV1Result(await classifyInput('video', req.body, { profile, trace: res.locals })) });
+}));
 
-    const cleanTitle = validator.escape(title);
-    const cleanChannelName = channelName ? validator.escape(channelName) : '';
-    const cleanDescription = description ? validator.escape(description) : '';
+app.post('/api/analyze-title', deprecatedFor('/api/v2/analyze/video'), analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, ...toV1Result(await classifyInput('video', req.body, { profile, trace: res.locals })) });
+}));
 
-    const analysis = await analyzeYouTubeContent(cleanTitle, cleanChannelName, cleanDescription);
-    try {
-    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip;
+app.post('/api/analyze-content', deprecatedFor('/api/v2/analyze/page'), analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, ...toV1Result(await classifyInput('page', req.body, { profile, trace: res.locals })) });
+}));
 
-    // ipinfo.io returns { city, region, country, … }
-    const { city, region, country } = await fetch(`https://ipinfo.io/${ip}/json`)
-                                            .then(r => r.json())
-                                            .catch(() => ({}));   // fail-safe
+app.post('/api/classify-domain', deprecatedFor('/api/v2/analyze/domain'), analysisRoute(async (req, res, profile) => {
+  res.json({ success: true, ...toV1Result(await classifyInput('domain', req.body, { profile, trace: res.locals })) });
+}));
 
-    console.log(
-      `Classify-title call from: ${city || 'unknown city'}, ` +
-      `${region || 'unknown region'}, ${country || 'unknown country'}`
-    );
+// v1 batch items are typed by inference and use "youtube" for videos
+app.post('/api/classify-batch', deprecatedFor('/api/v2/analyze/batch'), analysisRoute(async (req, res, profile) => {
+  const { charged, results } = await runBatch(req, req.body.items.map(planBatchItem), profile);
+  res.json({
+    success: true,
+    charged,
+    results: results.map(({ index, result, error }) => (result
+      ? { index, success: true, type: result.type === 'video' ? 'youtube' : result.type, ...toV1Result(result) }
+      : { index, success: false, error })),
+  });
+}));
 
-    // …rest of your code…
-  } catch (err) {
-    console.error(err);
-    res.status(500).end();
-  }
-    res.json({ success: true, ...analysis });
-  } catch (error) {
-    console.error('Error in /api/analyze-title:', error);
-    res.status(500).json({ success: false, error: 'Internal server error.' });
-  }
-});
+// Anything else is a 404, and uncaught errors (including malformed JSON bodies) use the error envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Access at http://localhost:${PORT}`);
 });
+
+// Persist the classification cache before shutting down (Cloud Run sends SIGTERM)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    server.close();
+    classificationCache.flush()
+      .catch(error => console.error('Failed to persist classification cache on shutdown:', error))
+      .finally(() => process.exit(0));
+  });
+}
@@ -6,6 +6,9 @@
  * 2. Tracks tab activity and provides data to the popup
  */
 
+// YouTube URL parsing shared with the backend (defines YouTubeUrl)
+importScripts('shared/youtube-url.js', 'vendor/sql.js/sql-wasm.js', 'sql.js');
+
 // Platform detection (helps with platform-specific behavior)
 const platformInfo = {
   isWindows: navigator.platform.indexOf('Win') !== -1,
@@ -24,7 +27,15 @@ const CONFIG = {
   ACTIVITY_TIMEOUT: 30000,
   PRODUCTIVITY_THRESHOLD: 50, // Threshold for determining if content is productive
   CACHE_EXPIRY: 7 * 24 * 60 * 60 * 1000, // Cache expiry time (7 days in milliseconds)
-  ANALYSIS_TIMEOUT: 10000, // 10 seconds timeout for analysis
+  ANALYSIS_TIMEOUT: 10000, // 10 seconds timeout for each analysis request (the request is aborted)
+  ANALYSIS_MAX_ATTEMPTS: 3, // Attempts per analysis before it is queued for later
+  ANALYSIS_RETRY_BASE_DELAY: 1000, // Base delay for analysis retries (doubled on every attempt)
+  ANALYSIS_QUEUE_MAX: 50, // Analyses kept in the offline queue
+  ANALYSIS_QUEUE_REPLAY_MINUTES: 1, // How often the offline queue is retried
+  HISTORY_RETENTION_DAYS: 90, // Default number of days the stats archive keeps
+  IDLE_THRESHOLD_SECONDS: 120, // Default time without input after which the user counts as away (chrome.idle minimum: 15)
+  SESSION_MAX_GAP: 5000, // A focus interval ends when the tab has not been tracked for this long
+  SESSION_SAVE_DEBOUNCE: 10000, // Debounce time for saving the session database (ms)
   MAX_TIME_GAP: 120000, // Allow up to 2 minutes between updates (handles suspension)
   PRODUCTIVE_MODE_BLOCK_DELAY: 30000, // 30 seconds before blocking unproductive content
   CONTENT_LOAD_DELAY: platformInfo.isWindows ? 4000 : 2500, // Longer delay on Windows to ensure content loads
@@ -32,8 +43,11 @@ const CONFIG = {
   STORAGE_RETRY_DELAY: 200, // Base delay for storage retries (will be multiplied by attempt number)
   CACHE_CLEANUP_INTERVAL: 30 * 60 * 1000, // 30 minutes
   CACHE_WRITE_DEBOUNCE: 2000, // Debounce time for cache writes (ms)
+  DEVICE_TOKEN_RENEW_BEFORE: 24 * 60 * 60 * 1000, // Register again when the device token expires within a day
+  DOMAIN_LISTS_SYNC_MINUTES: 6 * 60, // How often to check the backend for new domain lists
+  DOMAIN_PROMPTS_WITHOUT_MIXED: ['domain-v1'], // Domain prompt versions from before the 'mixed' class
   SPA_SITES: ['reddit.com', 'twitter.com', 'x.com', 'facebook.com', 'youtube.com', 'instagram.com', 'linkedin.com'],
-  // Add always productive domains
+  // Bundled domain lists, used until the backend's lists have been synced (see syncDomainLists)
   ALWAYS_PRODUCTIVE_DOMAINS: [
     'gmail.com',
     'outlook.com',
@@ -66,23 +80,10 @@ const CONFIG = {
   ],
   // Add always non-productive domains
   ALWAYS_NON_PRODUCTIVE_DOMAINS: [
-    // Entertainment and Social Media
-    'tiktok.com',
-    'instagram.com',
-    'facebook.com',
-    'twitter.com',
-    'x.com',
-    'reddit.com',
+    // Entertainment (video platforms and social networks are mixed: their pages are classified one by one)
     'netflix.com',
     'hulu.com',
     'disneyplus.com',
-    'twitch.tv',
-    'youtube.com',
-    'vimeo.com',
-    'dailymotion.com',
-    'snapchat.com',
-    'pinterest.com',
-    'tumblr.com',
     
     // Gaming
     'steam.com',
@@ -416,6 +417,29 @@ const CacheManager = {
     }, delay);
   },
   
+  // Merge cached analyses from a backup; for a URL cached on both sides the newer entry wins
+  mergeEntries: async function(entries) {
+    await this.init();
+    let merged = 0;
+    for (const [url, entry] of Object.entries(entries)) {
+      if (!entry || typeof entry !== 'object') continue;
+      const existing = this.urlHashMap.get(url);
+      if (existing && (existing.timestamp || 0) >= (entry.timestamp || 0)) continue;
+      urlCache[url] = entry;
+      this.urlHashMap.set(url, entry);
+      merged++;
+    }
+    if (merged > 0) await this.saveCacheWithRetry();
+    return merged;
+  },
+  
+  // Remove every cached analysis (e.g. after the classification profile changed)
+  clear: async function() {
+    this.urlHashMap.clear();
+    urlCache = {};
+    await StorageUtil.set({ urlCache });
+  },
+  
   // Get from cache using hash map for O(1) lookup
   getFromCache: function(url) {
     if (!url) return null;
@@ -437,7 +461,7 @@ const CacheManager = {
       const domain = extractDomain(normalizedUrl);
       
       // Check for always productive domains
-      if (CONFIG.ALWAYS_PRODUCTIVE_DOMAINS.some(prodDomain => domain.includes(prodDomain))) {
+      if (isAlwaysProductiveDomain(domain)) {
         return {
           isProductive: true,
           score: 100,
@@ -448,7 +472,7 @@ const CacheManager = {
       }
       
       // Check for always non-productive domains
-      if (CONFIG.ALWAYS_NON_PRODUCTIVE_DOMAINS.some(nonProdDomain => domain.includes(nonProdDomain))) {
+      if (isAlwaysNonProductiveDomain(domain)) {
         return {
           isProductive: false,
           score: 0,
@@ -486,6 +510,12 @@ const CacheManager = {
   
   // Normalize URL to avoid case sensitivity issues
   _normalizeUrl: function(url) {
+    // Every URL form of a YouTube video (shorts, youtu.be, timestamps, playlists...) shares one entry
+    const videoId = YouTubeUrl.getYouTubeVideoId(url);
+    if (videoId) {
+      return YouTubeUrl.canonicalVideoUrl(videoId);
+    }
+    
     try {
       // Extract the parts of the URL that we want to normalize
       const urlObj = new URL(url);
@@ -570,6 +600,695 @@ const CacheManager = {
   }
 };
 
+// Device registration: the backend only accepts API requests carrying a signed
+// device token, which it issues from /api/register-device
+const DeviceAuth = {
+  token: null,
+  expiresAt: 0,
+  registerPromise: null,
+  
+  // Get a usable token, registering the device if there is none or it is about to expire
+  getToken: async function() {
+    if (!this.token) {
+      const data = await StorageUtil.get(['deviceToken', 'deviceTokenExpiresAt']);
+      this.token = data.deviceToken || null;
+      this.expiresAt = data.deviceTokenExpiresAt || 0;
+    }
+    
+    if (this.token && this.expiresAt - Date.now() > CONFIG.DEVICE_TOKEN_RENEW_BEFORE) {
+      return this.token;
+    }
+    return this.register();
+  },
+  
+  // Register with the backend and store the new token (concurrent callers share one request)
+  register: async function() {
+    if (this.registerPromise) return this.registerPromise;
+    
+    this.registerPromise = (async () => {
+      const response = await fetch(`${CONFIG.BACKEND_URL}/api/register-device`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Device registration failed with ${response.status}: ${response.statusText}`);
+      }
+      
+      const data = await response.json();
+      this.token = data.token;
+      this.expiresAt = Date.parse(data.expiresAt);
+      await StorageUtil.set({ deviceToken: this.token, deviceTokenExpiresAt: this.expiresAt });
+      console.log('Device registered with backend');
+      return this.token;
+    })();
+    
+    try {
+      return await this.registerPromise;
+    } finally {
+      this.registerPromise = null;
+    }
+  },
+  
+  // Forget the stored token (e.g. after the backend rejected it)
+  clear: async function() {
+    this.token = null;
+    this.expiresAt = 0;
+    await StorageUtil.set({ deviceToken: null, deviceTokenExpiresAt: 0 });
+  }
+};
+
+/**
+ * Call a backend API route with the device token attached: a JSON POST when a
+ * body is given, otherwise a GET. If the backend rejects the token (e.g. its
+ * signing secret changed) the device registers again and the request is retried
+ * once. The quota is updated from the response's RateLimit-* headers.
+ * @param {string} path The API path, e.g. '/api/v2/analyze/page'.
+ * @param {object} [body] The request body.
+ * @param {object} [extraHeaders] Additional request headers, e.g. If-None-Match.
+ * @param {AbortSignal} [signal] Aborts the request, e.g. on a timeout.
+ * @returns {Promise<Response>} The fetch response.
+ */
+async function backendRequest(path, body = null, extraHeaders = {}, signal = undefined) {
+  const send = async (token) => fetch(`${CONFIG.BACKEND_URL}${path}`, body ? {
+    method: 'POST',
+    headers: { ...extraHeaders, 'Content-Type': 'application/json', 'X-Device-Token': token },
+    body: JSON.stringify(body),
+    signal
+  } : {
+    headers: { ...extraHeaders, 'X-Device-Token': token },
+    signal
+  });
+  
+  let response = await send(await DeviceAuth.getToken());
+  if (response.status === 401) {
+    await DeviceAuth.clear();
+    response = await send(await DeviceAuth.register());
+  }
+  
+  await updateQuotaFromHeaders(response);
+  return response;
+}
+
+/**
+ * Update the quota from the RateLimit-* headers of a backend response
+ * (RateLimit-Reset is in seconds from now)
+ */
+async function updateQuotaFromHeaders(response) {
+  const remaining = parseInt(response.headers.get('RateLimit-Remaining'), 10);
+  if (Number.isNaN(remaining)) return;
+  
+  const limit = parseInt(response.headers.get('RateLimit-Limit'), 10);
+  const resetSeconds = parseInt(response.headers.get('RateLimit-Reset'), 10);
+  quota = {
+    limit: Number.isNaN(limit) ? quota.limit : limit,
+    remaining,
+    resetTime: Number.isNaN(resetSeconds) ? quota.resetTime : Date.now() + resetSeconds * 1000,
+    syncedAt: Date.now()
+  };
+  await StorageUtil.set({ quota });
+}
+
+/**
+ * Fetch the remaining daily analyses from the backend
+ * @returns {Promise<Object>} The updated quota (unchanged if the backend could not be reached)
+ */
+async function syncQuota() {
+  try {
+    const response = await backendRequest('/api/quota');
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    quota = {
+      limit: data.limit,
+      remaining: data.remaining,
+      resetTime: data.resetTime ? Date.parse(data.resetTime) : null,
+      syncedAt: Date.now()
+    };
+    await StorageUtil.set({ quota });
+  } catch (error) {
+    console.warn('Could not sync quota with backend:', error);
+  }
+  return quota;
+}
+
+/**
+ * Whether the daily analysis quota is used up. Once the reset time has passed
+ * the quota is assumed to be available again until the next response says otherwise.
+ */
+function isQuotaExhausted() {
+  return quota.remaining !== null && quota.remaining <= 0 &&
+    !!quota.resetTime && quota.resetTime > Date.now();
+}
+
+/**
+ * Result for a page that could not be analyzed because the quota is used up:
+ * not rated, so its time is neither counted nor blocked
+ */
+function quotaExhaustedAnalysis() {
+  return degradedAnalysis(`Daily analysis limit reached, so this page was not rated. Analysis resumes at ${new Date(quota.resetTime).toLocaleTimeString()}.`);
+}
+
+/**
+ * Client for the analysis routes. Every request is aborted after
+ * CONFIG.ANALYSIS_TIMEOUT and retried with exponential backoff on network
+ * errors, timeouts and 5xx responses. Analyses that still fail because the
+ * backend is unreachable are kept in a persistent queue and replayed once it
+ * answers again (after any successful request, on the 'online' event and on a
+ * periodic alarm).
+ */
+const AnalysisClient = {
+  queue: [], // { route, body, url, queuedAt }, oldest first
+  replaying: false,
+  REPLAY_ALARM: 'replayAnalysisQueue',
+  
+  /**
+   * Load the offline queue left by a previous service worker
+   */
+  async init() {
+    const data = await StorageUtil.get(['analysisQueue']);
+    this.queue = Array.isArray(data.analysisQueue) ? data.analysisQueue : [];
+    if (this.queue.length > 0) {
+      console.log(`${this.queue.length} queued analyses waiting for the backend`);
+      this._scheduleReplay();
+    }
+  },
+  
+  /**
+   * Send an analysis request
+   * @param {string} route The analysis route, e.g. '/api/v2/analyze/page'
+   * @param {Object} body The request body
+   * @param {Object} [options]
+   * @param {string} [options.url] The analyzed URL; queued analyses are applied to it when replayed
+   * @param {number} [options.attempts] Attempts before giving up
+   * @param {boolean} [options.queueOffline=true] Queue the request when the backend is unreachable
+   * @returns {Promise<Object>} { result } with the backend's classification, or
+   *   { queued: true } when the request was queued for later
+   * @throws {Error} When the backend rejected the request, or could not be
+   *   reached and the request was not queued
+   */
+  async analyze(route, body, { url = null, attempts = CONFIG.ANALYSIS_MAX_ATTEMPTS, queueOffline = true } = {}) {
+    let result;
+    try {
+      result = await this._sendWithRetry(route, body, attempts);
+    } catch (error) {
+      if (!error.retryable || !queueOffline || !url) throw error;
+      console.warn(`Backend unreachable, queueing analysis of ${url}:`, error.message);
+      await this._enqueue({ route, body, url, queuedAt: Date.now() });
+      return { queued: true };
+    }
+    
+    // The backend is reachable again: catch up on what was queued while it was not
+    if (this.queue.length > 0) this.replay();
+    return { result };
+  },
+  
+  /**
+   * Send one request, aborting it after CONFIG.ANALYSIS_TIMEOUT
+   * @returns {Promise<Object>} The backend's classification
+   * @throws {Error} With `retryable` set for network errors, timeouts and 5xx responses
+   */
+  async _send(route, body) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.ANALYSIS_TIMEOUT);
+    
+    let response;
+    try {
+      response = await backendRequest(route, body, {}, controller.signal);
+    } catch (error) {
+      const failure = new Error(error.name === 'AbortError' ? 'Analysis timed out' : `Backend unreachable: ${error.message}`);
+      failure.retryable = true;
+      throw failure;
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    if (!response.ok) {
+      const failure = new Error(`Server responded with ${response.status}: ${response.statusText}`);
+      failure.status = response.status;
+      failure.retryable = response.status >= 500;
+      throw failure;
+    }
+    
+    const { result } = await response.json();
+    return result;
+  },
+  
+  /**
+   * Send a request, retrying retryable failures with exponential backoff and jitter
+   */
+  async _sendWithRetry(route, body, attempts) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._send(route, body);
+      } catch (error) {
+        if (!error.retryable || attempt >= attempts) throw error;
+        const delay = CONFIG.ANALYSIS_RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.random() * CONFIG.ANALYSIS_RETRY_BASE_DELAY;
+        console.log(`Analysis attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  },
+  
+  /**
+   * Queue an analysis for replay. A newer request for the same URL replaces the
+   * older one, and the oldest entries are dropped beyond CONFIG.ANALYSIS_QUEUE_MAX.
+   */
+  async _enqueue(entry) {
+    this.queue = this.queue.filter(queued => queued.url !== entry.url);
+    this.queue.push(entry);
+    if (this.queue.length > CONFIG.ANALYSIS_QUEUE_MAX) {
+      this.queue = this.queue.slice(-CONFIG.ANALYSIS_QUEUE_MAX);
+    }
+    await StorageUtil.set({ analysisQueue: this.queue });
+    this._scheduleReplay();
+  },
+  
+  _scheduleReplay() {
+    chrome.alarms.create(this.REPLAY_ALARM, { periodInMinutes: CONFIG.ANALYSIS_QUEUE_REPLAY_MINUTES });
+  },
+  
+  /**
+   * Replay the queued analyses, oldest first, one attempt each. Stops at the
+   * first one that finds the backend still unreachable (or the quota used up);
+   * requests the backend rejects are dropped. Results are cached and shown if the URL is still open.
+   */
+  async replay() {
+    if (this.replaying || this.queue.length === 0 || isQuotaExhausted()) return;
+    this.replaying = true;
+    
+    try {
+      while (this.queue.length > 0) {
+        const entry = this.queue[0];
+        try {
+          const result = await this._send(entry.route, entry.body);
+          await applyAnalysisResult(entry.url, result);
+        } catch (error) {
+          // Still offline, or out of quota until the daily reset: keep the rest for later
+          if (error.retryable || error.status === 429) break;
+          console.warn(`Dropping queued analysis of ${entry.url}:`, error.message);
+        }
+        this.queue = this.queue.filter(queued => queued !== entry);
+        await StorageUtil.set({ analysisQueue: this.queue });
+      }
+    } finally {
+      this.replaying = false;
+    }
+    
+    if (this.queue.length === 0) {
+      chrome.alarms.clear(this.REPLAY_ALARM);
+      console.log('Offline analysis queue replayed');
+    }
+  }
+};
+
+/**
+ * Fetch the backend's domain lists. The stored ETag is sent as If-None-Match,
+ * so an unchanged list costs a 304 with no body. On failure the last synced
+ * lists (or the bundled ones) stay in use.
+ * @returns {Promise<Object|null>} The domain lists in use, or null when still on the bundled lists
+ */
+async function syncDomainLists() {
+  try {
+    const headers = domainLists && domainLists.etag ? { 'If-None-Match': domainLists.etag } : {};
+    const response = await backendRequest('/api/domain-lists', null, headers);
+    
+    if (response.status === 304) {
+      domainLists.fetchedAt = Date.now();
+    } else if (response.ok) {
+      const data = await response.json();
+      if (!Array.isArray(data.productive) || !Array.isArray(data.unproductive)) {
+        throw new Error('Malformed domain lists response');
+      }
+      if (!domainLists || domainLists.version !== data.version) {
+        console.log('Domain lists updated to version', data.version);
+      }
+      domainLists = {
+        version: data.version,
+        etag: response.headers.get('ETag'),
+        productive: data.productive,
+        unproductive: data.unproductive,
+        // The prompt versions the backend classifies domains with (null when it uses none)
+        domainPromptVersions: Array.isArray(data.domainPromptVersions) ? data.domainPromptVersions : null,
+        fetchedAt: Date.now()
+      };
+      await pruneDomainClassifications();
+    } else {
+      throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+    }
+    
+    await StorageUtil.set({ domainLists });
+  } catch (error) {
+    console.warn('Could not sync domain lists with backend:', error);
+  }
+  return domainLists;
+}
+
+/**
+ * Whether a domain is, or is a subdomain of, one of the listed domains
+ */
+function matchesDomainList(domain, list) {
+  const host = domain.toLowerCase();
+  return list.some(listed => host === listed || host.endsWith(`.${listed}`));
+}
+
+/**
+ * Whether a domain is always productive. The synced list replaces the bundled
+ * one; a domain the user blocked is never treated as productive.
+ */
+function isAlwaysProductiveDomain(domain) {
+  if (!domain || (userBlockedDomains && userBlockedDomains.includes(domain))) return false;
+  const list = domainLists ? domainLists.productive : CONFIG.ALWAYS_PRODUCTIVE_DOMAINS;
+  return matchesDomainList(domain, list);
+}
+
+/**
+ * Whether a domain is always non-productive, from the synced list or the bundled one
+ */
+function isAlwaysNonProductiveDomain(domain) {
+  if (!domain) return false;
+  const list = domainLists ? domainLists.unproductive : CONFIG.ALWAYS_NON_PRODUCTIVE_DOMAINS;
+  return matchesDomainList(domain, list);
+}
+
+/**
+ * Archive of past days' stats in IndexedDB. At the daily reset each day's
+ * totals, per-domain times, category times and verdict stages are stored as
+ * one record keyed by its date (YYYY-MM-DD), so ranges can be read in order.
+ * Records older than the retention period are pruned.
+ */
+const HistoryArchive = {
+  DB_NAME: 'battletask-history',
+  DB_VERSION: 1,
+  STORE: 'days',
+  dbPromise: null,
+  
+  /**
+   * Open the database, creating the store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE, { keyPath: 'date' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let the next call try again instead of keeping a failed open
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  },
+  
+  /**
+   * Run one request in a transaction on the days store
+   * @param {string} mode 'readonly' or 'readwrite'
+   * @param {Function} operation Called with the store, returns the request
+   * @returns {Promise<*>} The request's result once the transaction completed
+   */
+  async _run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = operation(transaction.objectStore(this.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+  
+  /**
+   * Store a day's record, replacing an earlier one for the same date
+   * @param {Object} record A record from buildDayRecord
+   */
+  async archiveDay(record) {
+    await this._run('readwrite', store => store.put(record));
+  },
+  
+  /**
+   * Read the archived days in a date range, oldest first
+   * @param {string} from First date (YYYY-MM-DD), inclusive
+   * @param {string} to Last date (YYYY-MM-DD), inclusive
+   * @returns {Promise<Object[]>} The day records
+   */
+  async getRange(from, to) {
+    return this._run('readonly', store => store.getAll(IDBKeyRange.bound(from, to)));
+  },
+  
+  /**
+   * Delete every archived day
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  },
+  
+  /**
+   * Delete the days older than the retention period
+   * @param {number} retentionDays Number of days to keep, counting back from today
+   */
+  async prune(retentionDays) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    await this._run('readwrite', store => store.delete(IDBKeyRange.upperBound(getDateString(cutoff), true)));
+  }
+};
+
+/**
+ * Event log of tab focus intervals in SQLite (sql.js, bundled in vendor/sql.js).
+ * Every interval the user spends on a tab is one row with its start and end,
+ * URL, domain, tab ID and the verdict in effect with its source, so stats can
+ * be recomputed from raw sessions instead of only living in counters. The
+ * database is kept in memory and saved to IndexedDB after changes.
+ */
+const SessionStore = {
+  DB_NAME: 'battletask-sessions',
+  FILE_STORE: 'files',
+  FILE_KEY: 'sessions.sqlite',
+  db: null,
+  open: null, // The interval being extended: { id, tabId, url, verdict, verdictSource, end }
+  saveTimer: null,
+  
+  SCHEMA: `
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      start INTEGER NOT NULL,
+      end INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      domain TEXT NOT NULL,
+      verdict TEXT NOT NULL,
+      verdict_source TEXT,
+      tab_id INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS sessions_start ON sessions (start);
+    CREATE INDEX IF NOT EXISTS sessions_domain ON sessions (domain);
+  `,
+  
+  /**
+   * Load sql.js and the saved database. On failure the store stays disabled
+   * and every method is a no-op, so time tracking is never held up by it.
+   */
+  async init() {
+    try {
+      const SQL = await loadSqlJs();
+      const saved = await this._readFile();
+      this.db = saved ? new SQL.Database(saved) : new SQL.Database();
+      this.db.run(this.SCHEMA);
+      console.log('Session store ready');
+    } catch (error) {
+      console.error('Session store unavailable:', error);
+      this.db = null;
+    }
+  },
+  
+  /**
+   * Record tracked time on the current tab: extends the open interval, or
+   * starts a new one when the tab, URL or verdict changed or the tab was not
+   * tracked for CONFIG.SESSION_MAX_GAP. An interval that started while the page
+   * was being analyzed takes the verdict the analysis came up with.
+   * @param {Object} tab The current tab state
+   * @param {number} start When the tracked time began
+   * @param {number} end When it ended
+   */
+  track(tab, start, end) {
+    if (!this.db || !tab.url) return;
+    const { verdict, verdictSource } = sessionVerdict(tab);
+    const open = this.open;
+    const sameTab = open && open.tabId === tab.id && open.url === tab.url && start - open.end <= CONFIG.SESSION_MAX_GAP;
+    
+    try {
+      if (sameTab && open.verdict === 'pending' && verdict !== 'pending') {
+        this.db.run('UPDATE sessions SET end = ?, verdict = ?, verdict_source = ? WHERE id = ?', [end, verdict, verdictSource, open.id]);
+        Object.assign(open, { verdict, verdictSource, end });
+      } else if (sameTab && open.verdict === verdict && open.verdictSource === verdictSource) {
+        this.db.run('UPDATE sessions SET end = ? WHERE id = ?', [end, open.id]);
+        open.end = end;
+      } else {
+        this.db.run(
+          'INSERT INTO sessions (start, end, url, domain, verdict, verdict_source, tab_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [start, end, tab.url, tab.domain || extractDomain(tab.url), verdict, verdictSource, tab.id]
+        );
+        const id = this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+        this.open = { id, tabId: tab.id, url: tab.url, verdict, verdictSource, end };
+      }
+      this._scheduleSave();
+    } catch (error) {
+      console.error('Error recording session:', error);
+    }
+  },
+  
+  /**
+   * Sessions overlapping a time range, oldest first
+   * @param {Object} [filter]
+   * @param {number} [filter.from] Start of the range (ms since epoch)
+   * @param {number} [filter.to] End of the range (ms since epoch)
+   * @param {string} [filter.domain] Only sessions on this domain
+   * @param {number} [filter.limit=1000] Maximum number of sessions
+   * @returns {Object[]} { id, start, end, url, domain, verdict, verdictSource, tabId }
+   */
+  query({ from = 0, to = Date.now(), domain = null, limit = 1000 } = {}) {
+    if (!this.db) return [];
+    return this._select(
+      `SELECT id, start, end, url, domain, verdict, verdict_source AS verdictSource, tab_id AS tabId
+       FROM sessions WHERE end >= ? AND start <= ? ${domain ? 'AND domain = ?' : ''}
+       ORDER BY start LIMIT ?`,
+      domain ? [from, to, domain, limit] : [from, to, limit]
+    );
+  },
+  
+  /**
+   * Time per domain and verdict in a range, recomputed from the sessions;
+   * sessions crossing the range's edges only count their part inside it
+   * @param {Object} [range]
+   * @param {number} [range.from] Start of the range (ms since epoch)
+   * @param {number} [range.to] End of the range (ms since epoch)
+   * @returns {Object[]} { domain, verdict, time, sessions }, most time first
+   */
+  summarize({ from = 0, to = Date.now() } = {}) {
+    if (!this.db) return [];
+    return this._select(
+      `SELECT domain, verdict, SUM(MIN(end, ?) - MAX(start, ?)) AS time, COUNT(*) AS sessions
+       FROM sessions WHERE end >= ? AND start <= ?
+       GROUP BY domain, verdict ORDER BY time DESC`,
+      [to, from, from, to]
+    );
+  },
+  
+  /**
+   * Add sessions from a backup, skipping those already logged (same start, URL and tab)
+   * @param {Object[]} sessions Sessions as returned by query()
+   * @returns {number} Number of sessions added
+   */
+  importSessions(sessions) {
+    if (!this.db) return 0;
+    let added = 0;
+    sessions.forEach(session => {
+      if (!session || !Number.isFinite(session.start) || !Number.isFinite(session.end) || typeof session.url !== 'string') return;
+      const tabId = Number.isInteger(session.tabId) ? session.tabId : null;
+      const exists = this._select(
+        'SELECT 1 FROM sessions WHERE start = ? AND url = ? AND tab_id IS ?',
+        [session.start, session.url, tabId]
+      ).length > 0;
+      if (exists) return;
+      this.db.run(
+        'INSERT INTO sessions (start, end, url, domain, verdict, verdict_source, tab_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [session.start, session.end, session.url, session.domain || extractDomain(session.url),
+          session.verdict || 'unrated', session.verdictSource || null, tabId]
+      );
+      added++;
+    });
+    if (added > 0) this._scheduleSave();
+    return added;
+  },
+  
+  /**
+   * Delete every logged session
+   */
+  clear() {
+    if (!this.db) return;
+    this.db.run('DELETE FROM sessions');
+    this.open = null;
+    this._scheduleSave();
+  },
+  
+  /**
+   * Delete the sessions that ended before a point in time
+   * @param {number} before Time (ms since epoch)
+   */
+  prune(before) {
+    if (!this.db) return;
+    this.db.run('DELETE FROM sessions WHERE end < ?', [before]);
+    this._scheduleSave();
+  },
+  
+  /**
+   * Run a SELECT and return its rows as objects
+   */
+  _select(sql, params) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  },
+  
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._writeFile(this.db.export()).catch(error => {
+        console.error('Error saving session store:', error);
+      });
+    }, CONFIG.SESSION_SAVE_DEBOUNCE);
+  },
+  
+  /**
+   * Open the IndexedDB database the SQLite file is saved in
+   * @returns {Promise<IDBDatabase>}
+   */
+  _openFiles() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.FILE_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  /**
+   * @returns {Promise<Uint8Array|null>} The saved SQLite file, if any
+   */
+  async _readFile() {
+    const files = await this._openFiles();
+    return new Promise((resolve, reject) => {
+      const request = files.transaction(this.FILE_STORE, 'readonly').objectStore(this.FILE_STORE).get(this.FILE_KEY);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    }).finally(() => files.close());
+  },
+  
+  /**
+   * @param {Uint8Array} data The SQLite file
+   */
+  async _writeFile(data) {
+    const files = await this._openFiles();
+    return new Promise((resolve, reject) => {
+      const transaction = files.transaction(this.FILE_STORE, 'readwrite');
+      transaction.objectStore(this.FILE_STORE).put(data, this.FILE_KEY);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    }).finally(() => files.close());
+  }
+};
+
 // State tracking
 let currentTab = {
   id: null,
@@ -592,7 +1311,11 @@ let stats = {
   nonProductiveTime: 0,
   domainVisits: {},
   lastReset: Date.now(),
-  analyzingDomains: {}
+  analyzingDomains: {},
+  verdictStages: {}, // Verdicts per pipeline stage: manual, list, domain or page
+  categoryTime: {}, // Time per content category; a page in several categories counts for each
+  hourlyTime: {}, // Productive and non-productive time per hour of the day (0-23)
+  awayTime: 0 // Time the tab was focused while the user was idle or the screen locked
 };
 
 // Domain-specific tracking
@@ -603,6 +1326,7 @@ let urlCache = {};
 
 // Visibility tracking
 let isWindowActive = false;
+let idleState = 'active'; // From chrome.idle: 'active', 'idle' or 'locked'
 let isTabVisible = false;
 let lastActiveTime = null;
 
@@ -612,18 +1336,37 @@ let productiveMode = {
   unproductiveStartTime: null,
   activeTabTime: 0, // Legacy (single timer)
   lastActiveTimestamp: null,
-  urlTimers: {} // Map of url -> accumulated activeTabTime
+  urlTimers: {}, // Map of url -> accumulated activeTabTime
+  uncertainDecisions: {} // Map of url -> 'asked' or 'kept' for pages with an uncertain verdict
 };
 
+// Notification IDs of "block this page?" prompts: this prefix, then {tabId, url, title} as JSON
+const BLOCK_CONFIRMATION_PREFIX = 'confirm-block:';
+
 // Blocked URLs
 let blockedUrls = {};
 
 // User-blocked domains (set in popup)
 let userBlockedDomains = [];
 
-// API call rate limiting
-let apiCallCount = 0;
-let apiCallDate = null;
+// Daily analysis quota, as last reported by the backend
+let quota = {
+  limit: null,
+  remaining: null,
+  resetTime: null, // Timestamp (ms) when the quota resets
+  syncedAt: null
+};
+
+// Domain lists synced from the backend: {version, etag, productive, unproductive, fetchedAt}.
+// Null until the first successful sync; the bundled CONFIG lists apply meanwhile.
+let domainLists = null;
+
+// First-stage domain classifications: {domain: {classification, confidence, explanation, promptVersion, timestamp}}.
+// Cleared when the classification profile changes; entries from a prompt version the
+// backend no longer serves are dropped (see isDomainClassificationCurrent).
+let domainClassifications = {};
+// Domain classification requests in flight, so tabs on the same new domain share one
+const pendingDomainClassifications = new Map();
 
 // Daily stats reset date
 let statsResetDate = null;
@@ -653,8 +1396,9 @@ async function init() {
       'productiveMode', 
       'blockedUrls', 
       'userBlockedDomains', 
-      'apiCallCount', 
-      'apiCallDate', 
+      'quota', 
+      'domainLists', 
+      'domainClassifications', 
       'statsResetDate', 
       'settings'
     ]);
@@ -665,8 +1409,9 @@ async function init() {
   if (data.productiveMode) productiveMode = data.productiveMode;
   if (data.blockedUrls) blockedUrls = data.blockedUrls;
   if (data.userBlockedDomains) userBlockedDomains = data.userBlockedDomains;
-  if (typeof data.apiCallCount === 'number') apiCallCount = data.apiCallCount;
-  if (typeof data.apiCallDate === 'string') apiCallDate = data.apiCallDate;
+  if (data.quota) quota = data.quota;
+  if (data.domainLists) domainLists = data.domainLists;
+  if (data.domainClassifications) domainClassifications = data.domainClassifications;
   if (typeof data.statsResetDate === 'string') statsResetDate = data.statsResetDate;
     
     // Initialize settings if not present
@@ -682,13 +1427,26 @@ async function init() {
   // Initialize the Cache Manager
   await CacheManager.init();
   
+  // Load analyses queued while the backend was unreachable
+  await AnalysisClient.init();
+  
+  // Open the session event log (in the background; tracking does not wait for it)
+  SessionStore.init();
+  
   // Daily stats reset on startup
   await maybeResetStatsDaily();
   
+  // Refresh the quota and domain lists in the background; analysis does not wait for them
+  syncQuota();
+  syncDomainLists();
+  chrome.alarms.create('syncDomainLists', { periodInMinutes: CONFIG.DOMAIN_LISTS_SYNC_MINUTES });
+  
   // Set up event listeners
   chrome.tabs.onActivated.addListener(handleTabActivated);
   chrome.tabs.onUpdated.addListener(handleTabUpdated);
   chrome.runtime.onMessage.addListener(handleMessages);
+  chrome.notifications.onButtonClicked.addListener(handleBlockConfirmation);
+  chrome.notifications.onClosed.addListener(handleBlockConfirmationClosed);
   
   // Listen for changes to userBlockedDomains from popup
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -703,6 +1461,7 @@ async function init() {
   
   // Set up visibility change listeners
   setupVisibilityTracking();
+  await setupIdleDetection();
   
   // Start periodic updates for time tracking
     setInterval(() => { 
@@ -768,6 +1527,43 @@ function setupVisibilityTracking() {
   setInterval(checkTabVisibility, 10000);
 }
 
+/**
+ * Follow chrome.idle, so time stops counting while the user is away from the computer.
+ * State changes arrive through the onStateChanged listener added at the end of this file.
+ */
+async function setupIdleDetection() {
+  const threshold = await getIdleThresholdSeconds();
+  chrome.idle.setDetectionInterval(threshold);
+  idleState = await chrome.idle.queryState(threshold);
+}
+
+/**
+ * Seconds without input after which the user counts as away, from the settings
+ * @returns {Promise<number>}
+ */
+async function getIdleThresholdSeconds() {
+  const { settings } = await StorageUtil.get(['settings']);
+  const seconds = settings && settings.idleThresholdSeconds;
+  return Number.isInteger(seconds) && seconds >= 15 ? seconds : CONFIG.IDLE_THRESHOLD_SECONDS;
+}
+
+/**
+ * Whether the user is away: the screen is locked, or there was no input for
+ * the idle threshold. Media playing in the current tab while idle (a lecture,
+ * a talk) still counts as being there.
+ * @returns {Promise<boolean>}
+ */
+async function isUserAway() {
+  if (idleState === 'active') return false;
+  if (idleState === 'locked') return true;
+  try {
+    const tab = await chrome.tabs.get(currentTab.id);
+    return !tab.audible;
+  } catch (error) {
+    return true;
+  }
+}
+
 /**
  * Check tab visibility by querying the active tab
  * This helps recover from missed visibility events
@@ -1044,6 +1840,10 @@ function applyUrlCache(url) {
     currentTab.score = cachedData.score;
     currentTab.categories = cachedData.categories || [];
     currentTab.explanation = cachedData.explanation || 'No explanation provided';
+    currentTab.degraded = false;
+    currentTab.verdict = cachedData.verdict || null;
+    currentTab.confidence = typeof cachedData.confidence === 'number' ? cachedData.confidence : null;
+    currentTab.stage = cachedData.stage || 'page';
     currentTab.lastUpdated = Date.now();
     
     // Update the extension icon
@@ -1056,6 +1856,53 @@ function applyUrlCache(url) {
   return false;
 }
 
+/**
+ * The verdict of the user's manual override for a URL, or of the domain lists
+ * @param {string} url The page URL
+ * @param {string} domain Its hostname
+ * @returns {Promise<Object|null>} An analysis result for updateTabWithAnalysis, or null
+ *   when neither applies and the backend has to classify the page
+ */
+async function localRuleAnalysis(url, domain) {
+  // The user's own rules win over the domain lists
+  const overrides = (await StorageUtil.get('overrides')).overrides || {};
+  if (overrides[url] === true) {
+    return { isProductive: true, score: 100, categories: ['Manual'], explanation: 'User override: productive', stage: 'manual' };
+  }
+  if (overrides[url] === false) {
+    return { isProductive: false, score: 0, categories: ['Manual'], explanation: 'User override: non-productive', stage: 'manual' };
+  }
+  if (isAlwaysProductiveDomain(domain)) {
+    return {
+      isProductive: true,
+      score: 100,
+      categories: ['Work Tool'],
+      explanation: 'Automatically marked as productive (work tool)',
+      stage: 'list'
+    };
+  }
+  if (isAlwaysNonProductiveDomain(domain)) {
+    return {
+      isProductive: false,
+      score: 0,
+      categories: ['Entertainment', 'Shopping', 'Gaming'],
+      explanation: 'Automatically marked as non-productive',
+      stage: 'list'
+    };
+  }
+  return null;
+}
+
+/**
+ * Count a newly produced verdict in the stats of the stage that produced it.
+ * Verdicts re-applied from a cache are not counted again.
+ * @param {string} stage 'manual', 'list', 'domain' or 'page'
+ */
+function recordVerdictStage(stage) {
+  if (!stats.verdictStages) stats.verdictStages = {};
+  stats.verdictStages[stage] = (stats.verdictStages[stage] || 0) + 1;
+}
+
 /**
  * Analyze tab title using backend server
  */
@@ -1073,39 +1920,19 @@ async function analyzeTabTitle(title, url, force=false) {
       return;
     }
     
-    // Extract domain for always productive/non-productive checks
+    // Manual overrides and the domain lists decide without the backend
     const domain = extractDomain(url);
-    
-    // Check for always productive domains first
-    if (CONFIG.ALWAYS_PRODUCTIVE_DOMAINS.some(prodDomain => domain.includes(prodDomain))) {
-      updateTabWithAnalysis({ 
-        isProductive: true, 
-        score: 100, 
-        categories: ['Work Tool'], 
-        explanation: 'Automatically marked as productive (work tool)' 
-      });
+    const ruled = await localRuleAnalysis(url, domain);
+    if (ruled) {
+      recordVerdictStage(ruled.stage);
+      updateTabWithAnalysis(ruled);
       return;
     }
     
-    // Check for always non-productive domains
-    if (CONFIG.ALWAYS_NON_PRODUCTIVE_DOMAINS.some(nonProdDomain => domain.includes(nonProdDomain))) {
-      updateTabWithAnalysis({ 
-        isProductive: false, 
-        score: 0, 
-        categories: ['Entertainment', 'Shopping', 'Gaming'], 
-        explanation: 'Automatically marked as non-productive' 
-      });
-      return;
-    }
-
-    // Check for manual override first
-    const overrides = (await StorageUtil.get('overrides')).overrides || {};
-    if (overrides[url] === true) {
-      updateTabWithAnalysis({ isProductive: true, score: 100, categories: ['Manual'], explanation: 'User override: productive' });
-      return;
-    }
-    if (overrides[url] === false) {
-      updateTabWithAnalysis({ isProductive: false, score: 0, categories: ['Manual'], explanation: 'User override: non-productive' });
+    // First stage: a domain classified as a whole needs no per-page analysis
+    const knownDomain = getCachedDomainClassification(domain);
+    if (knownDomain && knownDomain.classification !== 'mixed') {
+      updateTabWithAnalysis(domainStageAnalysis(knownDomain));
       return;
     }
     
@@ -1116,9 +1943,6 @@ async function analyzeTabTitle(title, url, force=false) {
       updateTabWithAnalysis(cachedData);
       return;
     }
-    
-    // Rest of the existing analyzeTabTitle code
-    // ...
 
     // Check if user spent at least 5 seconds on the tab
     if (!force && !currentTab.lastUpdateTime) {
@@ -1126,94 +1950,52 @@ async function analyzeTabTitle(title, url, force=false) {
       return;
     }
     
-    // API call rate limiting
-    const today = getTodayString();
-    if (apiCallDate !== today) {
-      apiCallDate = today;
-      apiCallCount = 0;
-      await StorageUtil.set({ apiCallDate, apiCallCount });
+    // Daily quota (tracked by the backend)
+    if (isQuotaExhausted()) {
+      console.warn('Daily analysis quota used up. Analysis skipped until', new Date(quota.resetTime).toLocaleTimeString());
+      updateTabWithAnalysis(quotaExhaustedAnalysis());
+      return;
     }
     
-    if (apiCallCount >= 300) {
-      console.warn('API call limit reached for today (300). Analysis skipped.');
-      console.log('Current API call count:', apiCallCount);
-      
-      // Extract domain from URL to check if it's in user-blocked domains
-      const domain = extractDomain(url);
-      
-      // If domain is in user-blocked domains, mark as non-productive
-      // Otherwise, mark as productive (fallback to user preferences instead of API)
-      if (userBlockedDomains && userBlockedDomains.includes(domain)) {
-        updateTabWithAnalysis({ isProductive: false, score: 0, categories: ['User Blocked'], explanation: 'Domain is in user-blocked list. API limit reached.' });
-      } else {
-        updateTabWithAnalysis({ isProductive: true, score: CONFIG.PRODUCTIVITY_THRESHOLD, categories: ['API Limit'], explanation: 'API limit reached. Defaulting to productive since domain is not blocked by user.' });
+    // First stage for a domain seen for the first time: classify it once
+    if (!knownDomain) {
+      const classified = await classifyDomainFirst(domain);
+      if (classified && classified.classification !== 'mixed') {
+        updateTabWithAnalysis(domainStageAnalysis(classified));
+        return;
       }
-      return;
     }
     
+    // Second stage: the domain is mixed (or could not be classified), so analyze the page itself
     console.log('Analyzing title:', title);
     
-    // Set up analysis timeout
-    const analysisTimeout = setTimeout(() => {
-      if (currentTab.isAnalyzing) {
-        console.log(`Analysis timeout for ${url}`);
-        updateTabWithAnalysis({ isProductive: false, score: 0, categories: [], explanation: 'Analysis timed out' });
-      }
-    }, CONFIG.ANALYSIS_TIMEOUT);
-    
     // Prepare request data
     const requestData = {
       title: title,
       url: url,
-      domain: domain
+      domain: domain,
+      profile: await getClassificationProfile()
     };
     
-    // Increment API call count
-    apiCallCount++;
-    await StorageUtil.set({ apiCallCount, apiCallDate });
-    
-    // Send request to backend
-    const response = await fetch(`${CONFIG.BACKEND_URL}/api/analyze-title`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestData)
-    });
-    
-    // Clear the timeout since we got a response
-    clearTimeout(analysisTimeout);
+    // Send request to backend: YouTube videos go to the video analyzer, anything else to the page analyzer
+    const route = YouTubeUrl.getYouTubeVideoId(url) ? '/api/v2/analyze/video' : '/api/v2/analyze/page';
+    const outcome = await AnalysisClient.analyze(route, requestData, { url });
     
-    // Check if response is ok
-    if (!response.ok) {
-      throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+    // Offline: the request is queued and replayed later; until then the page is not rated
+    if (outcome.queued) {
+      if (currentTab.url === url) {
+        updateTabWithAnalysis(degradedAnalysis('The backend cannot be reached, so this page was not rated yet. It will be analyzed once the connection is back.'));
+      }
+      return;
     }
     
-    // Parse response
-    const analysis = await response.json();
-    
-    // Process analysis result
-    if (!analysis.score && analysis.score !== 0) analysis.score = 0;
-    if (typeof analysis.score === 'string') analysis.score = parseFloat(analysis.score);
-    if (analysis.score <= 1 && analysis.score >= 0) analysis.score = Math.round(analysis.score * 100);
-    else analysis.score = Math.min(100, Math.max(0, analysis.score));
-    
-    const isProductive = analysis.score >= CONFIG.PRODUCTIVITY_THRESHOLD;
-    
-    // Cache the result using the improved CacheManager
-    await CacheManager.addToCache(url, { 
-      isProductive, 
-      score: analysis.score, 
-      categories: analysis.categories, 
-      explanation: analysis.explanation
-    });
-    
-    // Update tab data
-    updateTabWithAnalysis({ isProductive, score: analysis.score, categories: analysis.categories, explanation: analysis.explanation });
+    await applyAnalysisResult(url, outcome.result);
     
   } catch (error) {
     console.error('Error analyzing title:', error);
     
-    // Set default values for error
-    updateTabWithAnalysis({ isProductive: false, score: 0, categories: [], explanation: `Error analyzing content: ${error.message}` });
+    // A failed analysis is no verdict: show the page as not rated (unless the user has moved on)
+    if (currentTab.url === url) updateTabWithAnalysis(degradedAnalysis(`Could not analyze this page: ${error.message}`));
   }
 }
 
@@ -1233,39 +2015,19 @@ async function analyzeContent(title, url, extractedContent, force=false) {
     return;
   }
   
-  // Extract domain for always productive/non-productive checks
+  // Manual overrides and the domain lists decide without the backend
   const domain = extractDomain(url);
-  
-  // Check for always productive domains first
-  if (CONFIG.ALWAYS_PRODUCTIVE_DOMAINS.some(prodDomain => domain.includes(prodDomain))) {
-    updateTabWithAnalysis({ 
-      isProductive: true, 
-      score: 100, 
-      categories: ['Work Tool'], 
-      explanation: 'Automatically marked as productive (work tool)' 
-    });
+  const ruled = await localRuleAnalysis(url, domain);
+  if (ruled) {
+    recordVerdictStage(ruled.stage);
+    updateTabWithAnalysis(ruled);
     return;
   }
   
-  // Check for always non-productive domains
-  if (CONFIG.ALWAYS_NON_PRODUCTIVE_DOMAINS.some(nonProdDomain => domain.includes(nonProdDomain))) {
-    updateTabWithAnalysis({ 
-      isProductive: false, 
-      score: 0, 
-      categories: ['Entertainment', 'Shopping', 'Gaming'], 
-      explanation: 'Automatically marked as non-productive' 
-    });
-    return;
-  }
-  
-  // Check for manual override first
-  const overrides = (await StorageUtil.get('overrides')).overrides || {};
-  if (overrides[url] === true) {
-    updateTabWithAnalysis({ isProductive: true, score: 100, categories: ['Manual'], explanation: 'User override: productive' });
-    return;
-  }
-  if (overrides[url] === false) {
-    updateTabWithAnalysis({ isProductive: false, score: 0, categories: ['Manual'], explanation: 'User override: non-productive' });
+  // First stage: a domain classified as a whole needs no per-page analysis
+  const knownDomain = getCachedDomainClassification(domain);
+  if (knownDomain && knownDomain.classification !== 'mixed') {
+    updateTabWithAnalysis(domainStageAnalysis(knownDomain));
     return;
   }
   
@@ -1277,94 +2039,288 @@ async function analyzeContent(title, url, extractedContent, force=false) {
     return;
   }
   
-  // API call rate limiting
-  const today = getTodayString();
-  if (apiCallDate !== today) {
-    apiCallDate = today;
-    apiCallCount = 0;
-    await StorageUtil.set({ apiCallDate, apiCallCount });
+  // Daily quota (tracked by the backend)
+  if (isQuotaExhausted()) {
+    console.warn('Daily analysis quota used up. Analysis skipped until', new Date(quota.resetTime).toLocaleTimeString());
+    updateTabWithAnalysis(quotaExhaustedAnalysis());
+    return;
   }
   
-  if (apiCallCount >= 300) {
-    console.warn('API call limit reached for today (300). Analysis skipped.');
-    updateTabWithAnalysis({ isProductive: false, score: 0, categories: [], explanation: 'Daily analysis limit reached. Try again tomorrow.' });
-    return;
+  // First stage for a domain seen for the first time: classify it once
+  if (!knownDomain) {
+    const classified = await classifyDomainFirst(domain);
+    if (classified && classified.classification !== 'mixed') {
+      updateTabWithAnalysis(domainStageAnalysis(classified));
+      return;
+    }
   }
   
+  // Second stage: the domain is mixed (or could not be classified), so analyze the page itself
   console.log('Analyzing content for:', url);
   
   try {
-    // Set up analysis timeout
-    const analysisTimeout = setTimeout(() => {
-      if (currentTab.isAnalyzing) {
-        console.log(`Analysis timeout for ${url}`);
-        updateTabWithAnalysis({ isProductive: false, score: 0, categories: [], explanation: 'Analysis timed out' });
-      }
-    }, CONFIG.ANALYSIS_TIMEOUT);
-    
     // Prepare request data with extracted content
     const requestData = {
       title: title,
       content: extractedContent.content || '',
       siteName: extractedContent.siteName || '',
       url: url,
-      domain: domain
+      domain: domain,
+      profile: await getClassificationProfile()
     };
     
-    // Increment API call count
-    apiCallCount++;
-    await StorageUtil.set({ apiCallDate, apiCallCount });
-    
     // Send request to backend
-    const response = await fetch(`${CONFIG.BACKEND_URL}/api/analyze-content`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestData)
-    });
+    const outcome = await AnalysisClient.analyze('/api/v2/analyze/page', requestData, { url });
     
-    // Clear the timeout since we got a response
-    clearTimeout(analysisTimeout);
-    
-    // Check if response is ok
-    if (!response.ok) {
-      throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+    // Offline: the request is queued and replayed later; until then the page is not rated
+    if (outcome.queued) {
+      if (currentTab.url === url) {
+        updateTabWithAnalysis(degradedAnalysis('The backend cannot be reached, so this page was not rated yet. It will be analyzed once the connection is back.'));
+      }
+      return;
     }
     
-    // Parse response
-    const analysis = await response.json();
-    
-    // Process analysis result
-    if (!analysis.score && analysis.score !== 0) analysis.score = 0;
-    if (typeof analysis.score === 'string') analysis.score = parseFloat(analysis.score);
-    if (analysis.score <= 1 && analysis.score >= 0) analysis.score = Math.round(analysis.score * 100);
-    else analysis.score = Math.min(100, Math.max(0, analysis.score));
-    
-    const isProductive = analysis.score >= CONFIG.PRODUCTIVITY_THRESHOLD;
-    
-    // Cache the result using the improved CacheManager
-    await CacheManager.addToCache(url, { 
-      isProductive, 
-      score: analysis.score, 
-      categories: analysis.categories, 
-      explanation: analysis.explanation
-    });
-    
-    // Update tab data
-    updateTabWithAnalysis({
-      isProductive,
-      score: analysis.score,
-      categories: analysis.categories || [],
-      explanation: analysis.explanation || 'No explanation provided'
-    });
+    await applyAnalysisResult(url, outcome.result);
     
   } catch (error) {
     console.error('Error analyzing content:', error);
     
-    // Fall back to title-only analysis
-    analyzeTabTitle(title, url, force);
+    // Fall back to title-only analysis, unless the user has moved on
+    if (currentTab.url === url) analyzeTabTitle(title, url, force);
+  }
+}
+
+/**
+ * Apply a page analysis from the backend: cache it and show it on the tab.
+ * Answers for a URL that is no longer the active tab's (late responses,
+ * replayed offline requests) are only cached, so they never overwrite the tab
+ * the user has moved on to.
+ * @param {string} url The analyzed URL
+ * @param {Object} analysis The backend's classification
+ */
+async function applyAnalysisResult(url, analysis) {
+  const isActiveTab = currentTab.url === url;
+  
+  // The backend could not classify the page: show why, but don't count or block it, and don't
+  // cache it so it is retried
+  if (analysis.status === 'unclassified') {
+    if (isActiveTab) updateTabWithAnalysis(degradedAnalysis(analysis.explanation || 'Could not classify this page'));
+    return;
+  }
+  
+  // The classifier is unavailable and the backend answered with its fallback (or not at all):
+  // show a neutral state instead of a verdict, and don't cache it so it is retried
+  if (analysis.degraded) {
+    if (isActiveTab) updateTabWithAnalysis(degradedAnalysis());
+    return;
+  }
+  
+  // Process analysis result
+  if (!analysis.score && analysis.score !== 0) analysis.score = 0;
+  if (typeof analysis.score === 'string') analysis.score = parseFloat(analysis.score);
+  if (analysis.score <= 1 && analysis.score >= 0) analysis.score = Math.round(analysis.score * 100);
+  else analysis.score = Math.min(100, Math.max(0, analysis.score));
+  
+  const isProductive = analysis.score >= CONFIG.PRODUCTIVITY_THRESHOLD;
+  // Uncertain pages keep the side they lean to in isProductive, but get their own icon and are not blocked without asking
+  const verdict = analysis.verdict || (isProductive ? 'productive' : 'unproductive');
+  const confidence = typeof analysis.confidence === 'number' ? analysis.confidence : null;
+  
+  const result = {
+    isProductive,
+    verdict,
+    confidence,
+    score: analysis.score,
+    categories: analysis.categories || [],
+    explanation: analysis.explanation || 'No explanation provided',
+    source: 'backend',
+    promptVersion: analysis.promptVersion || null,
+    stage: 'page'
+  };
+  
+  // Cache the result using the improved CacheManager
+  await CacheManager.addToCache(url, result);
+  recordVerdictStage('page');
+  
+  if (isActiveTab) {
+    updateTabWithAnalysis(result);
+  } else {
+    console.log(`Analysis of ${url} arrived after the tab moved on; cached only`);
+  }
+}
+
+/**
+ * Whether a first-stage domain classification can still be used. It expires
+ * like the URL cache, and a promotion or rollback of the backend's domain
+ * prompt (learned from the synced domain lists) makes it stale at once.
+ * Verdicts of a prompt that does not know the 'mixed' class are never used,
+ * since they would keep the pages of mixed domains from being analyzed.
+ * @param {Object} entry The classification, as stored by classifyDomainFirst
+ * @returns {boolean}
+ */
+function isDomainClassificationCurrent(entry) {
+  if (Date.now() - entry.timestamp > CONFIG.CACHE_EXPIRY) return false;
+  if (entry.classification !== 'mixed' && CONFIG.DOMAIN_PROMPTS_WITHOUT_MIXED.includes(entry.promptVersion)) return false;
+  const served = domainLists && domainLists.domainPromptVersions;
+  return !Array.isArray(served) || served.includes(entry.promptVersion);
+}
+
+/**
+ * Drop the domain classifications that can no longer be used
+ */
+async function pruneDomainClassifications() {
+  const stale = Object.keys(domainClassifications)
+    .filter(domain => !isDomainClassificationCurrent(domainClassifications[domain]));
+  if (stale.length === 0) return;
+  for (const domain of stale) delete domainClassifications[domain];
+  await StorageUtil.set({ domainClassifications });
+  console.log(`Dropped ${stale.length} stale domain classifications`);
+}
+
+/**
+ * Look up the first-stage classification of a domain
+ * @param {string} domain The hostname
+ * @returns {Object|null} The cached classification, or null if the domain is unknown or it is stale
+ */
+function getCachedDomainClassification(domain) {
+  const entry = domainClassifications[domain];
+  if (!entry || !isDomainClassificationCurrent(entry)) return null;
+  return entry;
+}
+
+/**
+ * First analysis stage: classify a whole domain once, so pages on domains that
+ * are always productive or always unproductive cost no per-page analysis.
+ * Only 'mixed' domains (video, social, news sites...) go on to the second stage.
+ * @param {string} domain The hostname
+ * @returns {Promise<Object|null>} The classification, or null if the backend gave no
+ *   usable answer; the page is then analyzed on its own
+ */
+async function classifyDomainFirst(domain) {
+  if (!domain || isQuotaExhausted()) return null;
+  if (pendingDomainClassifications.has(domain)) return pendingDomainClassifications.get(domain);
+
+  const request = (async () => {
+    try {
+      // A single attempt, never queued: if it fails the page is analyzed on its own
+      const { result } = await AnalysisClient.analyze('/api/v2/analyze/domain', {
+        domain,
+        profile: await getClassificationProfile()
+      }, { attempts: 1, queueOffline: false });
+      // Unclassified and degraded answers are not kept, so the domain is tried again later
+      if (result.status !== 'classified' || result.degraded || !result.classification) return null;
+
+      const entry = {
+        // A prompt from before the 'mixed' class cannot tell mixed domains apart, so the
+        // domain is treated as mixed and its pages are analyzed one by one
+        classification: CONFIG.DOMAIN_PROMPTS_WITHOUT_MIXED.includes(result.promptVersion) ? 'mixed' : result.classification,
+        confidence: typeof result.confidence === 'number' ? result.confidence : null,
+        explanation: result.explanation,
+        promptVersion: result.promptVersion || null,
+        timestamp: Date.now()
+      };
+      domainClassifications[domain] = entry;
+      await StorageUtil.set({ domainClassifications });
+      console.log(`Domain ${domain} classified as ${entry.classification}`);
+      // A mixed domain has no verdict of its own; its pages are counted when they are analyzed
+      if (entry.classification !== 'mixed') recordVerdictStage('domain');
+      return entry;
+    } catch (error) {
+      console.warn(`Could not classify domain ${domain}:`, error);
+      return null;
+    } finally {
+      pendingDomainClassifications.delete(domain);
+    }
+  })();
+  pendingDomainClassifications.set(domain, request);
+  return request;
+}
+
+/**
+ * The tab analysis for a domain classified always productive or always unproductive
+ * @param {Object} entry The domain classification
+ * @returns {Object} An analysis result for updateTabWithAnalysis
+ */
+function domainStageAnalysis(entry) {
+  const isProductive = entry.classification === 'always_productive';
+  return {
+    isProductive,
+    verdict: isProductive ? 'productive' : 'unproductive',
+    confidence: entry.confidence,
+    score: isProductive ? 100 : 0,
+    categories: [],
+    explanation: entry.explanation,
+    source: 'backend',
+    promptVersion: entry.promptVersion,
+    stage: 'domain'
+  };
+}
+
+/**
+ * Get the classification profile sent with analysis requests
+ * @returns {Promise<string|Object>} A profile name, or {id: 'custom', weights, strictness}
+ */
+async function getClassificationProfile() {
+  const { settings } = await StorageUtil.get(['settings']);
+  const profile = (settings && settings.profile) || 'default';
+  if (profile !== 'custom') {
+    return profile;
+  }
+  return {
+    id: 'custom',
+    weights: settings.customWeights || {},
+    strictness: settings.customStrictness || 'balanced'
+  };
+}
+
+/**
+ * Report a manual override to the backend so misclassifications can be reviewed.
+ * Only sent when the user opted in (settings.shareFeedback) and the tab's
+ * verdict came from the backend classifier.
+ * @param {Object} tab The tab, still holding the model's verdict
+ * @param {boolean} userVerdict Whether the user marked the page productive
+ */
+async function sendOverrideFeedback(tab, userVerdict) {
+  const { modelVerdict, url, title } = tab;
+  if (!modelVerdict) return;
+  
+  try {
+    const { settings } = await StorageUtil.get(['settings']);
+    if (!settings || !settings.shareFeedback) return;
+    
+    const response = await backendRequest('/api/feedback', {
+      url,
+      title,
+      modelVerdict: { isProductive: modelVerdict.isProductive, score: modelVerdict.score },
+      userVerdict,
+      promptVersion: modelVerdict.promptVersion,
+      profile: await getClassificationProfile()
+    });
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status}: ${response.statusText}`);
+    }
+  } catch (error) {
+    console.warn('Could not send override feedback:', error);
   }
 }
 
+/**
+ * The tab state for a page without a verdict: the backend answered degraded,
+ * could not be reached or failed. The time spent counts as neither productive
+ * nor unproductive and productive mode does not block the page.
+ * @param {string} [explanation] Why the page was not rated
+ * @returns {Object} An analysis result for updateTabWithAnalysis
+ */
+function degradedAnalysis(explanation = 'The classifier is temporarily unavailable, so this page was not rated. It will be analyzed again on your next visit.') {
+  return {
+    isProductive: null,
+    score: null,
+    categories: [],
+    explanation,
+    degraded: true
+  };
+}
+
 /**
  * Update tab with analysis results
  */
@@ -1376,6 +2332,16 @@ function updateTabWithAnalysis(analysisResult) {
   currentTab.score = analysisResult.score;
   currentTab.categories = analysisResult.categories || [];
   currentTab.explanation = analysisResult.explanation || 'No explanation provided';
+  currentTab.degraded = Boolean(analysisResult.degraded);
+  // 'uncertain' when the classifier was not sure; null for local rules and overrides
+  currentTab.verdict = analysisResult.verdict || null;
+  currentTab.confidence = typeof analysisResult.confidence === 'number' ? analysisResult.confidence : null;
+  // Which stage produced the verdict: 'manual', 'list', 'domain' or 'page' (null when there is none)
+  currentTab.stage = analysisResult.stage || null;
+  // The classifier's own verdict, kept for override feedback (null for local rules and overrides)
+  currentTab.modelVerdict = analysisResult.source === 'backend'
+    ? { isProductive: analysisResult.isProductive, score: analysisResult.score, promptVersion: analysisResult.promptVersion || null }
+    : null;
   // Always set iconState to 'orange' if explanation is the <5s one
   if (analysisResult.explanation === 'Spend at least 5 seconds on the tab for analysis.' || analysisResult.iconState === 'orange') {
     currentTab.iconState = 'orange';
@@ -1392,7 +2358,7 @@ function updateTabWithAnalysis(analysisResult) {
         domainTracking[currentTab.domain].productiveTime += analysisTime;
         stats.productiveTime += analysisTime;
         console.log(`Added ${Math.round(analysisTime/1000)}s of analysis time to productive time for ${currentTab.domain}`);
-      } else {
+      } else if (!currentTab.degraded) {
         domainTracking[currentTab.domain].nonProductiveTime += analysisTime;
         stats.nonProductiveTime += analysisTime;
         console.log(`Added ${Math.round(analysisTime/1000)}s of analysis time to non-productive time for ${currentTab.domain}`);
@@ -1596,6 +2562,7 @@ function handleMessages(message, sender, sendResponse) {
           data: {
             productiveTime: stats.productiveTime,
             nonProductiveTime: stats.nonProductiveTime,
+            awayTime: stats.awayTime || 0,
             productivePercentage: productivePercentage,
             productiveDomains: productiveDomains.slice(0, 10), // Top 10
             nonProductiveDomains: nonProductiveDomains.slice(0, 10), // Top 10
@@ -1604,6 +2571,121 @@ function handleMessages(message, sender, sendResponse) {
         });
         break;
         
+      case 'getQuota':
+        // Refresh from the backend (falls back to the last known quota when offline)
+        syncQuota().then(data => sendResponse({ success: true, data }));
+        return true;
+        
+      case 'setProfile':
+        // Save the classification profile; cached analyses were made for the old one
+        (async () => {
+          const { settings } = await StorageUtil.get(['settings']);
+          await StorageUtil.set({
+            settings: {
+              ...(settings || {}),
+              profile: message.profile,
+              customWeights: message.customWeights || {},
+              customStrictness: message.customStrictness || 'balanced'
+            }
+          });
+          await CacheManager.clear();
+          domainClassifications = {};
+          await StorageUtil.set({ domainClassifications });
+          if (currentTab.url && currentTab.title) {
+            analyzeTabTitle(currentTab.title, currentTab.url, true);
+          }
+        })()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'getHistory':
+        // Stats per day for a date range (YYYY-MM-DD, inclusive); defaults to the last 7 days
+        (async () => {
+          const to = message.to || getTodayString();
+          const start = new Date();
+          start.setDate(start.getDate() - 6);
+          const from = message.from || getDateString(start);
+          if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            throw new Error('from and to must be dates (YYYY-MM-DD), from not after to');
+          }
+          return getHistory(from, to);
+        })()
+          .then(data => sendResponse({ success: true, data }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'exportData':
+        // A JSON backup of everything, or CSV of the days / sessions in { from, to } (YYYY-MM-DD)
+        (async () => {
+          const stamp = getTodayString();
+          if (message.format === 'json') {
+            return {
+              filename: `battletask-backup-${stamp}.json`,
+              mimeType: 'application/json',
+              content: JSON.stringify(await exportBackup(), null, 2)
+            };
+          }
+          const kind = message.format === 'csv-sessions' ? 'sessions' : message.format === 'csv-days' ? 'days' : null;
+          if (!kind) throw new Error(`Unknown export format ${message.format}`);
+          const to = message.to || stamp;
+          const from = message.from || '0000-01-01';
+          return {
+            filename: `battletask-${kind}-${from === '0000-01-01' ? 'all' : from}-to-${to}.csv`,
+            mimeType: 'text/csv',
+            content: await exportCsv(kind, from, to)
+          };
+        })()
+          .then(data => sendResponse({ success: true, data }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'importData':
+        // Import a JSON backup: { backup, mode: 'merge' | 'replace', onConflict: 'keep' | 'overwrite' }
+        importBackup(message.backup, { mode: message.mode, onConflict: message.onConflict })
+          .then(data => sendResponse({ success: true, data }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'setIdleThreshold':
+        // Change after how many seconds without input the user counts as away
+        (async () => {
+          const seconds = parseInt(message.seconds, 10);
+          if (!Number.isInteger(seconds) || seconds < 15) throw new Error('seconds must be at least 15');
+          const { settings } = await StorageUtil.get(['settings']);
+          await StorageUtil.set({ settings: { ...(settings || {}), idleThresholdSeconds: seconds } });
+          chrome.idle.setDetectionInterval(seconds);
+          // Re-check now, so the new threshold applies without waiting for the next state change
+          idleState = await chrome.idle.queryState(seconds);
+        })()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
+      case 'getSessions':
+        // Logged focus intervals: { from, to } in ms since epoch, optional domain and limit
+        sendResponse({ success: true, data: SessionStore.query(message) });
+        break;
+        
+      case 'getSessionSummary':
+        // Time per domain and verdict recomputed from the logged sessions, for { from, to }
+        sendResponse({ success: true, data: SessionStore.summarize(message) });
+        break;
+        
+      case 'setHistoryRetention':
+        // Change how many days the history archive keeps, and drop what falls outside it
+        (async () => {
+          const days = parseInt(message.days, 10);
+          if (!Number.isInteger(days) || days <= 0) throw new Error('days must be a positive number');
+          const { settings } = await StorageUtil.get(['settings']);
+          await StorageUtil.set({ settings: { ...(settings || {}), historyRetentionDays: days } });
+          await HistoryArchive.prune(days);
+          SessionStore.prune(Date.now() - days * 24 * 60 * 60 * 1000);
+        })()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+        
       case 'resetStats':
         // Reset all statistics
         resetStats();
@@ -1630,6 +2712,16 @@ function handleMessages(message, sender, sendResponse) {
         sendResponse({ success: true });
         break;
       
+      case 'setShareFeedback':
+        // Opt in or out of sending override feedback to the backend
+        chrome.storage.local.get(['settings'], function(data) {
+          const settings = data.settings || {};
+          settings.shareFeedback = message.enabled;
+          chrome.storage.local.set({ settings });
+        });
+        sendResponse({ success: true });
+        break;
+      
       case 'setTransparentIcons':
         // Set transparent icons preference
         chrome.storage.local.get(['settings'], function(data) {
@@ -1649,6 +2741,7 @@ function handleMessages(message, sender, sendResponse) {
         productiveMode.unproductiveStartTime = null; // Reset timer
         productiveMode.activeTabTime = 0; // Reset active tab time
         productiveMode.lastActiveTimestamp = null; // Reset last active timestamp
+        productiveMode.uncertainDecisions = {}; // Ask again about uncertain pages
         
         // If disabling productive mode, clear all blocked URLs
         if (!message.enabled) {
@@ -1694,9 +2787,14 @@ function handleMessages(message, sender, sendResponse) {
           
           // If this is the current tab, update its data
           if (currentTab && currentTab.url === message.url) {
+            // Report the correction before the tab's verdict is overwritten
+            if (message.isProductive !== null) {
+              sendOverrideFeedback(currentTab, message.isProductive);
+            }
             // Force a recalculation of productivity state
             if (message.isProductive !== null) {
               currentTab.isProductive = message.isProductive;
+              currentTab.verdict = null; // The user's verdict replaces an uncertain one
             }
             // Update the current tab in storage
             chrome.storage.local.set({ currentTab });
@@ -1780,6 +2878,20 @@ async function updateTimeTracking() {
     
     // Only count if the time is reasonable (less than configured max gap)
     if (timeSinceLastUpdate > 0 && timeSinceLastUpdate < CONFIG.MAX_TIME_GAP) {
+      // The user is away: the time goes to the away bucket instead of being counted
+      if (await isUserAway()) {
+        stats.awayTime = (stats.awayTime || 0) + timeSinceLastUpdate;
+        currentTab.lastUpdateTime = now;
+        chrome.storage.local.set({ stats, currentTab });
+        
+        // Pause the productive mode timer too, so the time away does not lead to a block
+        if (productiveMode.enabled && productiveMode.unproductiveStartTime) {
+          productiveMode.lastActiveTimestamp = null;
+          chrome.storage.local.set({ productiveMode });
+        }
+        return;
+      }
+      
       // --- Trigger analysis ONLY after 5 seconds on tab ---
       let timeSpent = 0;
       if (domainTracking[currentTab.domain]) {
@@ -1877,15 +2989,22 @@ async function updateTimeTracking() {
       if (manualOverride === true) isReallyProductive = true;
       if (manualOverride === false) isReallyProductive = false;
       
-      if (isReallyProductive) {
+      if (currentTab.degraded && manualOverride === null) {
+        // No verdict while the classifier is unavailable: the time counts as neither
+        console.log(`Not counting ${Math.round(timeSinceLastUpdate/1000)}s for ${currentTab.domain}: page was not rated`);
+      } else if (isReallyProductive) {
         domainTracking[currentTab.domain].productiveTime += timeSinceLastUpdate;
         domainTracking[currentTab.domain].productiveScore = currentTab.score;
         stats.productiveTime += timeSinceLastUpdate;
+        addCategoryTime(currentTab.categories, timeSinceLastUpdate);
+        addHourlyTime(true, timeSinceLastUpdate);
         console.log(`Added ${Math.round(timeSinceLastUpdate/1000)}s to productive time for ${currentTab.domain}`);
       } else {
         domainTracking[currentTab.domain].nonProductiveTime += timeSinceLastUpdate;
           domainTracking[currentTab.domain].nonProductiveScore = currentTab.score;
         stats.nonProductiveTime += timeSinceLastUpdate;
+        addCategoryTime(currentTab.categories, timeSinceLastUpdate);
+        addHourlyTime(false, timeSinceLastUpdate);
         console.log(`Added ${Math.round(timeSinceLastUpdate/1000)}s to non-productive time for ${currentTab.domain}`);
           
           // --- Per-URL timer logic for productive mode ---
@@ -1902,6 +3021,9 @@ async function updateTimeTracking() {
       }
       }
       
+      // Log the focus interval, whatever it counted as
+      SessionStore.track(currentTab, currentTab.lastUpdateTime, now);
+      
       // Update domain visits regardless of analysis state
       if (!stats.domainVisits[currentTab.domain]) {
         stats.domainVisits[currentTab.domain] = {
@@ -1916,6 +3038,7 @@ async function updateTimeTracking() {
       stats.domainVisits[currentTab.domain].visits++;
       stats.domainVisits[currentTab.domain].lastVisit = now;
       stats.domainVisits[currentTab.domain].isProductive = currentTab.isProductive;
+      stats.domainVisits[currentTab.domain].stage = currentTab.stage || null;
       stats.domainVisits[currentTab.domain].productivityScore = currentTab.score || 0;
       chrome.storage.local.set({ domainTracking, stats });
     } else if (timeSinceLastUpdate >= CONFIG.MAX_TIME_GAP) {
@@ -1938,7 +3061,9 @@ async function updateTimeTracking() {
         if (overrides[currentTab.url] === false) manualOverride = false;
       }
       
-      if (!currentTab.isProductive && currentTab.isProductive !== undefined && manualOverride !== true) {
+      const keptOpen = currentTab.verdict === 'uncertain' && (productiveMode.uncertainDecisions || {})[currentTab.url] === 'kept';
+      
+      if (!currentTab.isProductive && currentTab.isProductive !== undefined && !currentTab.degraded && !keptOpen && manualOverride !== true) {
         // Initialize or update the unproductive start time
         if (!productiveMode.unproductiveStartTime) {
           productiveMode.unproductiveStartTime = now;
@@ -1956,25 +3081,22 @@ async function updateTimeTracking() {
             productiveMode.lastActiveTimestamp = now;
             chrome.storage.local.set({ productiveMode });
             console.log(`Updated unproductive time for ${currentTab.url}: ${productiveMode.activeTabTime}ms`);
+          } else {
+            // The timer was paused (window unfocused or user away): resume it without counting the pause
+            productiveMode.lastActiveTimestamp = now;
+            chrome.storage.local.set({ productiveMode });
           }
         }
         
         // Only block if the user has been actively on this tab for 30 seconds
         if (productiveMode.activeTabTime > CONFIG.PRODUCTIVE_MODE_BLOCK_DELAY) {
-          console.log(`Blocking unproductive URL after ${productiveMode.activeTabTime}ms: ${currentTab.url}`);
-          const blockedUrl = currentTab.url;
-          const redirectUrl = `blocked.html?url=${encodeURIComponent(blockedUrl)}`;
-          chrome.tabs.update(currentTab.id, { url: redirectUrl });
-          blockedUrls[blockedUrl] = {
-            timestamp: now,
-            title: currentTab.title
-          };
-          chrome.storage.local.set({ blockedUrls });
-          productiveMode.activeTabTime = 0;
-          productiveMode.lastActiveTimestamp = null;
-          productiveMode.unproductiveStartTime = null;
-          productiveMode.urlTimers[blockedUrl] = 0;
-          chrome.storage.local.set({ productiveMode });
+          if (currentTab.verdict === 'uncertain') {
+            // The classifier is not sure about this page: ask instead of blocking it
+            askBeforeBlocking(currentTab);
+          } else {
+            console.log(`Blocking unproductive URL after ${productiveMode.activeTabTime}ms: ${currentTab.url}`);
+            blockUrl(currentTab.id, currentTab.url, currentTab.title);
+          }
         }
       } else {
         // Reset the unproductive start time if the content is productive or manually marked as productive
@@ -1998,16 +3120,28 @@ async function updateTimeTracking() {
 }
 
 /**
- * Reset all statistics
+ * Stats with nothing tracked yet
+ * @returns {Object}
  */
-async function resetStats() {
-  stats = {
+function emptyStats() {
+  return {
     productiveTime: 0,
     nonProductiveTime: 0,
     domainVisits: {},
     lastReset: Date.now(),
-    analyzingDomains: {}
+    analyzingDomains: {},
+    verdictStages: {},
+    categoryTime: {},
+    hourlyTime: {},
+    awayTime: 0
   };
+}
+
+/**
+ * Reset all statistics
+ */
+async function resetStats() {
+  stats = emptyStats();
   
   domainTracking = {};
   
@@ -2031,16 +3165,14 @@ async function maybeResetStatsDaily() {
   const today = getTodayString();
   if (statsResetDate !== today) {
     try {
+    // Archive the finished day before its stats are replaced
+    const finishedDay = statsResetDate ? buildDayRecord(statsResetDate) : null;
+    statsResetDate = today;
+    if (finishedDay) await archiveDay(finishedDay);
+    
     // Reset all stats
-    stats = {
-      productiveTime: 0,
-      nonProductiveTime: 0,
-      domainVisits: {},
-      lastReset: Date.now(),
-      analyzingDomains: {}
-    };
+    stats = emptyStats();
     domainTracking = {};
-    statsResetDate = today;
       
       await StorageUtil.set({ stats, domainTracking, statsResetDate });
       console.log('Daily stats reset successfully', {
@@ -2057,6 +3189,433 @@ async function maybeResetStatsDaily() {
   }
 }
 
+/**
+ * The verdict a focus interval is logged with, and where it came from
+ * @param {Object} tab The tab state
+ * @returns {{verdict: string, verdictSource: string|null}} verdict is 'productive',
+ *   'unproductive', 'uncertain', 'unrated' (no verdict, e.g. classifier unavailable)
+ *   or 'pending' (still being analyzed); the source is the stage that produced it
+ *   ('manual', 'list', 'domain' or 'page') when known
+ */
+function sessionVerdict(tab) {
+  if (tab.isAnalyzing) return { verdict: 'pending', verdictSource: null };
+  if (tab.degraded) return { verdict: 'unrated', verdictSource: tab.stage || null };
+  return {
+    verdict: tab.verdict || (tab.isProductive ? 'productive' : 'unproductive'),
+    verdictSource: tab.stage || tab.source || null
+  };
+}
+
+/**
+ * Add tracked time to the page's categories in today's stats
+ * @param {string[]} categories The current page's categories
+ * @param {number} ms Time to add
+ */
+function addCategoryTime(categories, ms) {
+  if (!stats.categoryTime) stats.categoryTime = {};
+  const counted = categories && categories.length ? categories : ['Uncategorized'];
+  counted.forEach(category => {
+    stats.categoryTime[category] = (stats.categoryTime[category] || 0) + ms;
+  });
+}
+
+/**
+ * Add tracked time to the current hour of the day in today's stats
+ * @param {boolean} isProductive Whether the time was productive
+ * @param {number} ms Time to add
+ */
+function addHourlyTime(isProductive, ms) {
+  if (!stats.hourlyTime) stats.hourlyTime = {};
+  const hour = new Date().getHours();
+  const bucket = stats.hourlyTime[hour] || (stats.hourlyTime[hour] = { productiveTime: 0, nonProductiveTime: 0 });
+  if (isProductive) bucket.productiveTime += ms;
+  else bucket.nonProductiveTime += ms;
+}
+
+/**
+ * Snapshot the current stats as a day record for the history archive
+ * @param {string} date The day the stats belong to (YYYY-MM-DD)
+ * @param {Object} [dayStats] The stats to snapshot, today's by default
+ * @param {Object} [dayTracking] The matching domain tracking
+ * @returns {Object} { date, productiveTime, nonProductiveTime, awayTime, domains, categoryTime, hourlyTime, verdictStages }
+ */
+function buildDayRecord(date, dayStats = stats, dayTracking = domainTracking) {
+  const domains = {};
+  Object.keys(dayTracking).forEach(domain => {
+    const tracking = dayTracking[domain];
+    const visit = dayStats.domainVisits && dayStats.domainVisits[domain];
+    domains[domain] = {
+      productiveTime: tracking.productiveTime || 0,
+      nonProductiveTime: tracking.nonProductiveTime || 0,
+      stage: visit ? visit.stage || null : null
+    };
+  });
+  
+  return {
+    date,
+    productiveTime: dayStats.productiveTime || 0,
+    nonProductiveTime: dayStats.nonProductiveTime || 0,
+    awayTime: dayStats.awayTime || 0,
+    domains,
+    categoryTime: { ...(dayStats.categoryTime || {}) },
+    hourlyTime: JSON.parse(JSON.stringify(dayStats.hourlyTime || {})),
+    verdictStages: { ...(dayStats.verdictStages || {}) }
+  };
+}
+
+/**
+ * Store a finished day in the history archive and prune the days (and the
+ * logged sessions) past the retention period. A failure is logged; the daily
+ * reset goes ahead anyway.
+ * @param {Object} record A record from buildDayRecord
+ */
+async function archiveDay(record) {
+  try {
+    const retentionDays = await getHistoryRetentionDays();
+    SessionStore.prune(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    await HistoryArchive.archiveDay(record);
+    await HistoryArchive.prune(retentionDays);
+    console.log(`Archived stats for ${record.date}`);
+  } catch (error) {
+    console.error(`Error archiving stats for ${record.date}:`, error);
+  }
+}
+
+/**
+ * Number of days the history archive keeps, from the settings
+ * @returns {Promise<number>}
+ */
+async function getHistoryRetentionDays() {
+  const { settings } = await StorageUtil.get(['settings']);
+  const days = settings && settings.historyRetentionDays;
+  return Number.isInteger(days) && days > 0 ? days : CONFIG.HISTORY_RETENTION_DAYS;
+}
+
+/**
+ * Stats for a date range: the archived days plus today's stats so far when
+ * today is in the range (marked `live`)
+ * @param {string} from First date (YYYY-MM-DD), inclusive
+ * @param {string} to Last date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Object[]>} Day records, oldest first; days without tracked time are missing
+ */
+async function getHistory(from, to) {
+  const days = await HistoryArchive.getRange(from, to);
+  const today = getTodayString();
+  if (statsResetDate === today && from <= today && today <= to) {
+    days.push({ ...buildDayRecord(today), live: true });
+  }
+  return days;
+}
+
+const BACKUP_FORMAT = 'battletask-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Everything the extension tracks, as a JSON backup
+ * @returns {Promise<Object>} { format, version, exportedAt, data }
+ */
+async function exportBackup() {
+  const { overrides, settings } = await StorageUtil.get(['overrides', 'settings']);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      stats,
+      statsResetDate,
+      domainTracking,
+      overrides: overrides || {},
+      userBlockedDomains: userBlockedDomains || [],
+      urlCache,
+      settings: settings || {},
+      history: await HistoryArchive.getRange('0000-01-01', '9999-12-31'),
+      sessions: SessionStore.query({ from: 0, to: Number.MAX_SAFE_INTEGER, limit: -1 })
+    }
+  };
+}
+
+/**
+ * Check that an object is a backup this version can import. The fields the
+ * tracking code does arithmetic on are checked too, so a hand-edited or
+ * truncated backup is rejected instead of breaking the stats.
+ * @throws {Error} Describing what is wrong
+ */
+function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error('This file is not a BattleTask backup');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${backup.version}`);
+  }
+  const { data } = backup;
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const fail = message => { throw new Error(`Invalid backup: ${message}`); };
+  const checkTimes = (record, keys, where, optional = []) => {
+    keys.forEach(key => {
+      if (!isTime(record[key])) fail(`${where}.${key} must be a number of milliseconds`);
+    });
+    optional.forEach(key => {
+      if (record[key] !== undefined && !isTime(record[key])) fail(`${where}.${key} must be a number of milliseconds`);
+    });
+  };
+  const checkMap = (map, where, checkValue) => {
+    if (map === undefined) return;
+    if (!isObject(map)) fail(`${where} must be an object`);
+    Object.entries(map).forEach(([key, value]) => checkValue(value, `${where}.${key}`));
+  };
+  const checkTime = (value, where) => {
+    if (!isTime(value)) fail(`${where} must be a number of milliseconds`);
+  };
+  const checkHour = (hour, where) => {
+    if (!isObject(hour)) fail(`${where} must be an object`);
+    checkTimes(hour, ['productiveTime', 'nonProductiveTime'], where);
+  };
+  
+  ['stats', 'domainTracking', 'overrides', 'urlCache', 'settings'].forEach(key => {
+    if (data[key] !== undefined && !isObject(data[key])) fail(`${key} must be an object`);
+  });
+  ['userBlockedDomains', 'history', 'sessions'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) fail(`${key} must be a list`);
+  });
+  if (data.statsResetDate !== undefined && data.statsResetDate !== null &&
+      !/^\d{4}-\d{2}-\d{2}$/.test(data.statsResetDate)) {
+    fail('statsResetDate must be a date (YYYY-MM-DD)');
+  }
+  
+  if (data.stats) {
+    checkTimes(data.stats, ['productiveTime', 'nonProductiveTime'], 'stats', ['awayTime']);
+    checkMap(data.stats.categoryTime, 'stats.categoryTime', checkTime);
+    checkMap(data.stats.hourlyTime, 'stats.hourlyTime', checkHour);
+    checkMap(data.stats.verdictStages, 'stats.verdictStages', checkTime);
+    checkMap(data.stats.domainVisits, 'stats.domainVisits', (visit, where) => {
+      if (!isObject(visit)) fail(`${where} must be an object`);
+    });
+  }
+  checkMap(data.domainTracking, 'domainTracking', (tracking, where) => {
+    if (!isObject(tracking)) fail(`${where} must be an object`);
+    checkTimes(tracking, ['productiveTime', 'nonProductiveTime'], where);
+  });
+  
+  (data.history || []).forEach((day, index) => {
+    if (!isObject(day) || !/^\d{4}-\d{2}-\d{2}$/.test(day.date)) fail('every history day needs a date');
+    const where = `history[${index}]`;
+    checkTimes(day, ['productiveTime', 'nonProductiveTime'], where, ['awayTime']);
+    checkMap(day.domains, `${where}.domains`, (domain, domainWhere) => {
+      if (!isObject(domain)) fail(`${domainWhere} must be an object`);
+      checkTimes(domain, ['productiveTime', 'nonProductiveTime'], domainWhere);
+    });
+    checkMap(day.categoryTime, `${where}.categoryTime`, checkTime);
+    checkMap(day.hourlyTime, `${where}.hourlyTime`, checkHour);
+    checkMap(day.verdictStages, `${where}.verdictStages`, checkTime);
+  });
+  
+  const settings = data.settings || {};
+  const settingTypes = {
+    theme: 'string',
+    transparentIcons: 'boolean',
+    shareFeedback: 'boolean',
+    profile: 'string',
+    customStrictness: 'string'
+  };
+  Object.entries(settingTypes).forEach(([key, type]) => {
+    if (settings[key] !== undefined && typeof settings[key] !== type) fail(`settings.${key} must be a ${type}`);
+  });
+  if (settings.customWeights !== undefined && !isObject(settings.customWeights)) {
+    fail('settings.customWeights must be an object');
+  }
+  if (settings.idleThresholdSeconds !== undefined &&
+      !(Number.isInteger(settings.idleThresholdSeconds) && settings.idleThresholdSeconds >= 15)) {
+    fail('settings.idleThresholdSeconds must be a whole number of at least 15');
+  }
+  if (settings.historyRetentionDays !== undefined &&
+      !(Number.isInteger(settings.historyRetentionDays) && settings.historyRetentionDays > 0)) {
+    fail('settings.historyRetentionDays must be a positive whole number');
+  }
+}
+
+/**
+ * Import a JSON backup from exportBackup.
+ * In 'merge' mode the backup is added to the local data. Overrides and days
+ * present on both sides with different values are conflicts, resolved by
+ * onConflict: 'keep' the local value or 'overwrite' it with the backup's.
+ * Blocked domains are combined, the newer of two cached analyses wins and
+ * sessions already logged are skipped; settings stay as they are.
+ * In 'replace' mode the local data, settings included, is discarded first,
+ * and the restored settings are applied to the running extension.
+ * @param {Object} backup The parsed backup
+ * @param {Object} [options]
+ * @param {string} [options.mode='merge'] 'merge' or 'replace'
+ * @param {string} [options.onConflict='keep'] 'keep' or 'overwrite'
+ * @returns {Promise<Object>} What was imported: { overrides, days, sessions, cachedUrls, blockedDomains, conflicts }
+ */
+async function importBackup(backup, { mode = 'merge', onConflict = 'keep' } = {}) {
+  validateBackup(backup);
+  if (!['merge', 'replace'].includes(mode)) throw new Error(`Unknown import mode ${mode}`);
+  if (!['keep', 'overwrite'].includes(onConflict)) throw new Error(`Unknown conflict handling ${onConflict}`);
+  
+  const { data } = backup;
+  const overwrite = mode === 'replace' || onConflict === 'overwrite';
+  const report = { overrides: 0, days: 0, sessions: 0, cachedUrls: 0, blockedDomains: 0, conflicts: 0 };
+  
+  const previousProfile = JSON.stringify(await getClassificationProfile());
+  if (mode === 'replace') {
+    await resetStats();
+    await CacheManager.clear();
+    await HistoryArchive.clear();
+    SessionStore.clear();
+    userBlockedDomains = [];
+    await StorageUtil.set({ overrides: {}, userBlockedDomains, settings: { ...(data.settings || {}) } });
+  }
+  
+  // Manual overrides, per URL
+  const overrides = (await StorageUtil.get(['overrides'])).overrides || {};
+  Object.entries(data.overrides || {}).forEach(([url, value]) => {
+    if (typeof value !== 'boolean') return;
+    if (overrides[url] === undefined) {
+      overrides[url] = value;
+      report.overrides++;
+    } else if (overrides[url] !== value) {
+      report.conflicts++;
+      if (overwrite) {
+        overrides[url] = value;
+        report.overrides++;
+      }
+    }
+  });
+  await StorageUtil.set({ overrides });
+  
+  // Blocked domains are combined
+  (data.userBlockedDomains || []).forEach(domain => {
+    if (typeof domain === 'string' && !userBlockedDomains.includes(domain)) {
+      userBlockedDomains.push(domain);
+      report.blockedDomains++;
+    }
+  });
+  await StorageUtil.set({ userBlockedDomains });
+  
+  report.cachedUrls = await CacheManager.mergeEntries(data.urlCache || {});
+  report.sessions = SessionStore.importSessions(data.sessions || []);
+  
+  // Archived days; the backup's current stats are a day of their own
+  const today = getTodayString();
+  const days = [...(data.history || [])];
+  if (data.stats && data.statsResetDate && data.statsResetDate !== today) {
+    days.push(buildDayRecord(data.statsResetDate, data.stats, data.domainTracking || {}));
+  }
+  const localDays = {};
+  (await HistoryArchive.getRange('0000-01-01', '9999-12-31')).forEach(day => { localDays[day.date] = day; });
+  for (const day of days) {
+    const local = localDays[day.date];
+    if (local && JSON.stringify(local) === JSON.stringify(day)) continue;
+    if (local) {
+      report.conflicts++;
+      if (!overwrite) continue;
+    }
+    await HistoryArchive.archiveDay(day);
+    report.days++;
+  }
+  
+  // Today's stats from the backup conflict with today's own unless nothing was tracked yet
+  if (data.stats && data.statsResetDate === today) {
+    const trackedToday = stats.productiveTime + stats.nonProductiveTime > 0;
+    if (trackedToday) report.conflicts++;
+    if (!trackedToday || overwrite) {
+      stats = { ...emptyStats(), ...data.stats };
+      domainTracking = { ...(data.domainTracking || {}) };
+      await StorageUtil.set({ stats, domainTracking });
+      report.days++;
+    }
+  }
+  
+  if (mode === 'replace') await applyRestoredSettings(previousProfile);
+  
+  console.log('Backup imported', { mode, onConflict, ...report });
+  return report;
+}
+
+/**
+ * Apply settings restored from a backup to the running extension: the idle
+ * threshold, the theme and, when it changed, the classification profile
+ * @param {string} previousProfile The profile before the import, as JSON
+ */
+async function applyRestoredSettings(previousProfile) {
+  const threshold = await getIdleThresholdSeconds();
+  chrome.idle.setDetectionInterval(threshold);
+  idleState = await chrome.idle.queryState(threshold);
+  
+  // Domain classifications were made for the old profile (the URL cache is already cleared)
+  if (JSON.stringify(await getClassificationProfile()) !== previousProfile) {
+    domainClassifications = {};
+    await StorageUtil.set({ domainClassifications });
+    if (currentTab.url && currentTab.title) {
+      analyzeTabTitle(currentTab.title, currentTab.url, true);
+    }
+  }
+  
+  await applyThemeStyles();
+}
+
+/**
+ * Export tracked time as CSV
+ * @param {string} kind 'days' (one row per domain per day) or 'sessions' (one row per focus interval)
+ * @param {string} from First date (YYYY-MM-DD), inclusive
+ * @param {string} to Last date (YYYY-MM-DD), inclusive
+ * @returns {Promise<string>} The CSV text
+ */
+async function exportCsv(kind, from, to) {
+  if (kind === 'days') {
+    const rows = [];
+    (await getHistory(from, to)).forEach(day => {
+      Object.keys(day.domains || {}).sort().forEach(domain => {
+        const tracking = day.domains[domain];
+        rows.push([day.date, domain, Math.round((tracking.productiveTime || 0) / 1000), Math.round((tracking.nonProductiveTime || 0) / 1000), tracking.stage]);
+      });
+    });
+    return toCsv(['date', 'domain', 'productive_seconds', 'non_productive_seconds', 'verdict_stage'], rows);
+  }
+  
+  if (kind === 'sessions') {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    const sessions = SessionStore.query({
+      from: new Date(fromYear, fromMonth - 1, fromDay).getTime(),
+      to: new Date(toYear, toMonth - 1, toDay + 1).getTime() - 1,
+      limit: -1
+    });
+    return toCsv(
+      ['start', 'end', 'duration_seconds', 'url', 'domain', 'verdict', 'verdict_source', 'tab_id'],
+      sessions.map(session => [
+        new Date(session.start).toISOString(),
+        new Date(session.end).toISOString(),
+        Math.round((session.end - session.start) / 1000),
+        session.url,
+        session.domain,
+        session.verdict,
+        session.verdictSource,
+        session.tabId
+      ])
+    );
+  }
+  
+  throw new Error(`Unknown CSV export ${kind}`);
+}
+
+/**
+ * Format rows as CSV (RFC 4180), quoting fields that need it
+ * @param {string[]} header Column names
+ * @param {Array[]} rows Field values; null and undefined become empty fields
+ * @returns {string}
+ */
+function toCsv(header, rows) {
+  const field = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
 /**
  * Extract domain from URL
  */
@@ -2069,6 +3628,93 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Redirect a tab to the blocked page and remember its URL as blocked
+ * @param {number} tabId The tab to redirect
+ * @param {string} url The URL being blocked
+ * @param {string} title The page title, shown on the blocked page
+ */
+function blockUrl(tabId, url, title) {
+  chrome.tabs.update(tabId, { url: `blocked.html?url=${encodeURIComponent(url)}` });
+  blockedUrls[url] = {
+    timestamp: Date.now(),
+    title
+  };
+  chrome.storage.local.set({ blockedUrls });
+  productiveMode.activeTabTime = 0;
+  productiveMode.lastActiveTimestamp = null;
+  productiveMode.unproductiveStartTime = null;
+  if (!productiveMode.urlTimers) productiveMode.urlTimers = {};
+  productiveMode.urlTimers[url] = 0;
+  chrome.storage.local.set({ productiveMode });
+}
+
+/**
+ * Ask the user whether to block a page the classifier is uncertain about.
+ * Each URL is asked about once; the answer arrives in handleBlockConfirmation.
+ * @param {Object} tab The current tab
+ */
+function askBeforeBlocking(tab) {
+  if (!productiveMode.uncertainDecisions) productiveMode.uncertainDecisions = {};
+  if (productiveMode.uncertainDecisions[tab.url]) return;
+  
+  productiveMode.uncertainDecisions[tab.url] = 'asked';
+  chrome.storage.local.set({ productiveMode });
+  
+  const notificationId = BLOCK_CONFIRMATION_PREFIX + JSON.stringify({ tabId: tab.id, url: tab.url, title: tab.title });
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/yellow128.png',
+    title: 'Block this page?',
+    message: `BattleTask is not sure whether ${tab.domain} is productive. Productive mode would block it now.`,
+    buttons: [{ title: 'Block it' }, { title: 'Keep it open' }],
+    requireInteraction: true
+  });
+}
+
+/**
+ * Handle the answer to a "block this page?" prompt
+ * @param {string} notificationId The notification's ID
+ * @param {number} buttonIndex 0 for "Block it", 1 for "Keep it open"
+ */
+async function handleBlockConfirmation(notificationId, buttonIndex) {
+  if (!notificationId.startsWith(BLOCK_CONFIRMATION_PREFIX)) return;
+  const { tabId, url, title } = JSON.parse(notificationId.slice(BLOCK_CONFIRMATION_PREFIX.length));
+  chrome.notifications.clear(notificationId);
+  
+  if (!productiveMode.uncertainDecisions) productiveMode.uncertainDecisions = {};
+  if (buttonIndex === 0) {
+    delete productiveMode.uncertainDecisions[url];
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.url === url) {
+        console.log(`Blocking uncertain URL after confirmation: ${url}`);
+        blockUrl(tabId, url, title);
+        return;
+      }
+    } catch (error) {
+      // The tab was closed in the meantime
+    }
+    // The tab moved on: block the URL for the next visit
+    blockedUrls[url] = { timestamp: Date.now(), title };
+    chrome.storage.local.set({ blockedUrls, productiveMode });
+  } else {
+    productiveMode.uncertainDecisions[url] = 'kept';
+    chrome.storage.local.set({ productiveMode });
+  }
+}
+
+/**
+ * Treat a "block this page?" prompt the user dismissed as "Keep it open"
+ * @param {string} notificationId The notification's ID
+ * @param {boolean} byUser Whether the user closed it (rather than the extension)
+ */
+function handleBlockConfirmationClosed(notificationId, byUser) {
+  if (byUser && notificationId.startsWith(BLOCK_CONFIRMATION_PREFIX)) {
+    handleBlockConfirmation(notificationId, 1);
+  }
+}
+
 /**
  * Update the extension icon based on the current tab productivity status
  */
@@ -2095,6 +3741,14 @@ function updateExtensionIcon(tab) {
         iconPath = 'icons/orange.png';
         badgeText = '?';
         badgeColor = '#ff9800';
+      } else if (tab.degraded) {
+        // Not rated while the classifier is unavailable: neutral, never blocked
+        badgeText = '–';
+      } else if (tab.verdict === 'uncertain') {
+        // The classifier is not sure: yellow, and blocked only if the user agrees
+        iconPath = 'icons/yellow.png';
+        badgeText = '~';
+        badgeColor = '#fbc02d';
       } else if (tab.isProductive) {
         iconPath = 'icons/green.png';
         badgeText = '✓';
@@ -2123,6 +3777,10 @@ function updateExtensionIcon(tab) {
         iconPath = 'icons/orange.png';
         badgeText = '?';
         badgeColor = '#ff9800';
+      } else if (tab.degraded) {
+        badgeText = '–';
+      } else if (tab.verdict === 'uncertain') {
+        iconPath = 'icons/yellow.png';
       } else if (tab.isProductive) {
         iconPath = 'icons/green.png';
       } else if (tab.isProductive === false) {
@@ -2185,8 +3843,16 @@ function updateExtensionIcon(tab) {
  * Helper for date string (YYYY-MM-DD)
  */
 function getTodayString() {
-  const now = new Date();
-  return now.getFullYear() + '-' + (now.getMonth()+1).toString().padStart(2,'0') + '-' + now.getDate().toString().padStart(2,'0');
+  return getDateString(new Date());
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, the key of daily stats
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDateString(date) {
+  return date.getFullYear() + '-' + (date.getMonth()+1).toString().padStart(2,'0') + '-' + date.getDate().toString().padStart(2,'0');
 }
 
 // Set up content script for SPA monitoring
@@ -2240,11 +3906,33 @@ async function applyThemeStyles() {
   }
 }
 
-// Initialize the extension when loaded
-init().catch(error => {
+// Initialize the extension when loaded; event handlers that need its state wait for this
+const initPromise = init().catch(error => {
   console.error('Failed to initialize extension:', error, {
     platform: navigator.platform,
     timestamp: new Date().toISOString()
   });
 });
 
+// An alarm, an idle state change or the network coming back can be what wakes the
+// service worker, and the event is only delivered to listeners registered while the
+// script first runs, so these are not added in init()
+chrome.alarms.onAlarm.addListener(async alarm => {
+  await initPromise;
+  if (alarm.name === 'syncDomainLists') await syncDomainLists();
+  if (alarm.name === AnalysisClient.REPLAY_ALARM) await AnalysisClient.replay();
+});
+
+// Applied after init(), so the state init() queried cannot overwrite a later change
+chrome.idle.onStateChanged.addListener(async state => {
+  await initPromise;
+  idleState = state;
+  console.log(`Idle state changed: ${state}`);
+});
+
+// Replay queued analyses as soon as the network is back
+self.addEventListener('online', async () => {
+  await initPromise;
+  await AnalysisClient.replay();
+});
+
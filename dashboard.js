@@ -0,0 +1,461 @@
+/**
+ * BattleTask Dashboard
+ *
+ * Charts the history archive kept by the background script: productive versus
+ * non-productive time per day and per week, a time-of-day heatmap and the time
+ * per category, each compared with the period before. The charts are plain SVG
+ * drawn here, because the extension's CSP only allows its own scripts.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const MAX_CATEGORIES = 12;
+
+  // DOM Elements
+  const periodSelect = document.getElementById('period-select');
+  const summaryProductive = document.getElementById('summary-productive');
+  const summaryNonProductive = document.getElementById('summary-non-productive');
+  const summaryPercentage = document.getElementById('summary-percentage');
+  const compareProductive = document.getElementById('compare-productive');
+  const compareNonProductive = document.getElementById('compare-non-productive');
+  const comparePercentage = document.getElementById('compare-percentage');
+  const dailyChart = document.getElementById('daily-chart');
+  const weeklyChart = document.getElementById('weekly-chart');
+  const heatmap = document.getElementById('heatmap');
+  const categoryList = document.getElementById('category-list');
+  const importFile = document.getElementById('import-file');
+  const importMode = document.getElementById('import-mode');
+  const dataStatus = document.getElementById('data-status');
+
+  loadThemePreference();
+  periodSelect.addEventListener('change', loadDashboard);
+  document.getElementById('export-json').addEventListener('click', () => exportData({ format: 'json' }));
+  document.getElementById('export-csv-days').addEventListener('click', () => exportData({ format: 'csv-days', ...periodRange() }));
+  document.getElementById('export-csv-sessions').addEventListener('click', () => exportData({ format: 'csv-sessions', ...periodRange() }));
+  document.getElementById('import-button').addEventListener('click', importData);
+  loadDashboard();
+
+  /**
+   * Load the selected period and the one before it, and draw everything
+   */
+  function loadDashboard() {
+    const days = parseInt(periodSelect.value, 10);
+    const today = new Date();
+    const periodStart = addDays(today, -(days - 1));
+    const previousStart = addDays(periodStart, -days);
+
+    chrome.runtime.sendMessage({
+      action: 'getHistory',
+      from: toDateString(previousStart),
+      to: toDateString(today)
+    }, function(response) {
+      if (!response || !response.success) {
+        console.error('Could not load history:', response && response.error);
+        showEmpty(dailyChart, 'History is unavailable');
+        return;
+      }
+
+      const startKey = toDateString(periodStart);
+      const current = response.data.filter(day => day.date >= startKey);
+      const previous = response.data.filter(day => day.date < startKey);
+
+      renderSummary(current, previous, days);
+      renderDailyChart(current, periodStart, days);
+      renderWeeklyChart(current);
+      renderHeatmap(current);
+      renderCategories(current, previous);
+    });
+  }
+
+  /**
+   * Show the period's totals and how they changed against the previous period
+   */
+  function renderSummary(current, previous, days) {
+    const now = sumTotals(current);
+    const before = sumTotals(previous);
+    const nowPercentage = productivePercentage(now);
+    const beforePercentage = productivePercentage(before);
+
+    summaryProductive.textContent = formatTime(now.productiveTime);
+    summaryNonProductive.textContent = formatTime(now.nonProductiveTime);
+    summaryPercentage.textContent = `${nowPercentage}%`;
+
+    if (previous.length === 0) {
+      [compareProductive, compareNonProductive, comparePercentage].forEach(element => {
+        element.className = 'comparison';
+        element.textContent = `No data for the previous ${days} days`;
+      });
+      return;
+    }
+
+    const suffix = `vs previous ${days} days`;
+    showComparison(compareProductive, now.productiveTime - before.productiveTime, formatSignedTime, suffix, true);
+    showComparison(compareNonProductive, now.nonProductiveTime - before.nonProductiveTime, formatSignedTime, suffix, false);
+    showComparison(comparePercentage, nowPercentage - beforePercentage, delta => `${delta >= 0 ? '+' : '−'}${Math.abs(delta)} points`, suffix, true);
+  }
+
+  /**
+   * Fill in a comparison line, colored by whether the change is an improvement
+   * @param {HTMLElement} element
+   * @param {number} delta Current minus previous
+   * @param {Function} format Formats the delta
+   * @param {string} suffix Text after the delta
+   * @param {boolean} higherIsBetter Whether an increase is an improvement
+   */
+  function showComparison(element, delta, format, suffix, higherIsBetter) {
+    element.textContent = `${format(delta)} ${suffix}`;
+    element.className = 'comparison';
+    if (delta !== 0) element.classList.add((delta > 0) === higherIsBetter ? 'better' : 'worse');
+  }
+
+  /**
+   * Chart every day of the period, including days without tracked time
+   */
+  function renderDailyChart(current, periodStart, days) {
+    const byDate = {};
+    current.forEach(day => { byDate[day.date] = day; });
+
+    const labelEvery = days <= 7 ? 1 : 7;
+    const bars = [];
+    for (let i = 0; i < days; i++) {
+      const date = addDays(periodStart, i);
+      const key = toDateString(date);
+      const day = byDate[key] || { productiveTime: 0, nonProductiveTime: 0 };
+      bars.push({
+        label: i % labelEvery === 0 ? `${DAY_NAMES[weekdayIndex(date)]} ${date.getDate()}` : '',
+        title: key,
+        productiveTime: day.productiveTime,
+        nonProductiveTime: day.nonProductiveTime
+      });
+    }
+    renderStackedBars(dailyChart, bars);
+  }
+
+  /**
+   * Chart the period's days grouped into weeks starting on Monday
+   */
+  function renderWeeklyChart(current) {
+    const weeks = {};
+    current.forEach(day => {
+      const date = parseDate(day.date);
+      const weekStart = toDateString(addDays(date, -weekdayIndex(date)));
+      if (!weeks[weekStart]) weeks[weekStart] = { productiveTime: 0, nonProductiveTime: 0 };
+      weeks[weekStart].productiveTime += day.productiveTime;
+      weeks[weekStart].nonProductiveTime += day.nonProductiveTime;
+    });
+
+    const bars = Object.keys(weeks).sort().map(weekStart => ({
+      label: `Week of ${weekStart.slice(5)}`,
+      title: `Week of ${weekStart}`,
+      ...weeks[weekStart]
+    }));
+    if (bars.length === 0) {
+      showEmpty(weeklyChart, 'No tracked time in this period');
+      return;
+    }
+    renderStackedBars(weeklyChart, bars);
+  }
+
+  /**
+   * Draw productive and non-productive time as stacked bars
+   * @param {HTMLElement} container
+   * @param {Object[]} bars { label, title, productiveTime, nonProductiveTime }
+   */
+  function renderStackedBars(container, bars) {
+    const width = 1000;
+    const height = 220;
+    const top = 16;
+    const bottom = 24;
+    const left = 56;
+    const chartHeight = height - top - bottom;
+    const max = Math.max(...bars.map(bar => bar.productiveTime + bar.nonProductiveTime), 0);
+
+    container.textContent = '';
+    if (max === 0) {
+      showEmpty(container, 'No tracked time in this period');
+      return;
+    }
+
+    const svg = createSvg('svg', { viewBox: `0 0 ${width} ${height}`, width: '100%' });
+    svg.appendChild(createSvg('line', { class: 'axis', x1: left, y1: top + chartHeight, x2: width, y2: top + chartHeight }));
+    svg.appendChild(createSvg('text', { x: left - 6, y: top + 4, 'text-anchor': 'end' }, formatTime(max)));
+    svg.appendChild(createSvg('text', { x: left - 6, y: top + chartHeight, 'text-anchor': 'end' }, '0'));
+
+    const slot = (width - left) / bars.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    bars.forEach((bar, index) => {
+      const x = left + index * slot + (slot - barWidth) / 2;
+      const productiveHeight = (bar.productiveTime / max) * chartHeight;
+      const nonProductiveHeight = (bar.nonProductiveTime / max) * chartHeight;
+      const group = createSvg('g');
+      group.appendChild(createSvg('title', {}, `${bar.title}: ${formatTime(bar.productiveTime)} productive, ${formatTime(bar.nonProductiveTime)} non-productive`));
+      group.appendChild(createSvg('rect', {
+        x, width: barWidth,
+        y: top + chartHeight - productiveHeight, height: productiveHeight,
+        fill: 'var(--productive-color)'
+      }));
+      group.appendChild(createSvg('rect', {
+        x, width: barWidth,
+        y: top + chartHeight - productiveHeight - nonProductiveHeight, height: nonProductiveHeight,
+        fill: 'var(--non-productive-color)'
+      }));
+      if (bar.label) {
+        group.appendChild(createSvg('text', { x: x + barWidth / 2, y: height - 6, 'text-anchor': 'middle' }, bar.label));
+      }
+      svg.appendChild(group);
+    });
+    container.appendChild(svg);
+  }
+
+  /**
+   * Draw tracked time per weekday and hour of the day
+   */
+  function renderHeatmap(current) {
+    // cells[weekday][hour] = { productiveTime, nonProductiveTime }
+    const cells = DAY_NAMES.map(() => Array.from({ length: 24 }, () => ({ productiveTime: 0, nonProductiveTime: 0 })));
+    current.forEach(day => {
+      const weekday = weekdayIndex(parseDate(day.date));
+      Object.keys(day.hourlyTime || {}).forEach(hour => {
+        const cell = cells[weekday][hour];
+        cell.productiveTime += day.hourlyTime[hour].productiveTime || 0;
+        cell.nonProductiveTime += day.hourlyTime[hour].nonProductiveTime || 0;
+      });
+    });
+
+    const max = Math.max(...cells.flat().map(cell => cell.productiveTime + cell.nonProductiveTime), 0);
+    heatmap.textContent = '';
+    if (max === 0) {
+      showEmpty(heatmap, 'No tracked time in this period');
+      return;
+    }
+
+    const left = 40;
+    const top = 18;
+    const size = 38;
+    const svg = createSvg('svg', { viewBox: `0 0 ${left + 24 * size} ${top + 7 * size}`, width: '100%' });
+    for (let hour = 0; hour < 24; hour += 3) {
+      svg.appendChild(createSvg('text', { x: left + hour * size + 2, y: top - 6 }, `${hour}:00`));
+    }
+
+    cells.forEach((row, weekday) => {
+      svg.appendChild(createSvg('text', { x: 0, y: top + weekday * size + size / 2 + 4 }, DAY_NAMES[weekday]));
+      row.forEach((cell, hour) => {
+        const total = cell.productiveTime + cell.nonProductiveTime;
+        const rect = createSvg('rect', {
+          x: left + hour * size + 1, y: top + weekday * size + 1,
+          width: size - 2, height: size - 2, rx: 3,
+          fill: total === 0 ? 'var(--border-color)' :
+            cell.productiveTime >= cell.nonProductiveTime ? 'var(--productive-color)' : 'var(--non-productive-color)',
+          'fill-opacity': total === 0 ? 0.4 : 0.2 + 0.8 * (total / max)
+        });
+        rect.appendChild(createSvg('title', {}, `${DAY_NAMES[weekday]} ${hour}:00-${hour + 1}:00: ` +
+          `${formatTime(cell.productiveTime)} productive, ${formatTime(cell.nonProductiveTime)} non-productive`));
+        svg.appendChild(rect);
+      });
+    });
+    heatmap.appendChild(svg);
+  }
+
+  /**
+   * List the time per category, largest first, with the change against the previous period
+   */
+  function renderCategories(current, previous) {
+    const now = sumCategories(current);
+    const before = sumCategories(previous);
+    const categories = Object.keys(now).sort((a, b) => now[b] - now[a]).slice(0, MAX_CATEGORIES);
+
+    categoryList.textContent = '';
+    if (categories.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'empty';
+      item.textContent = 'No categorized time in this period';
+      categoryList.appendChild(item);
+      return;
+    }
+
+    const max = now[categories[0]];
+    categories.forEach(category => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = category;
+      const bar = document.createElement('div');
+      bar.className = 'category-bar';
+      bar.style.width = `${Math.max(1, (now[category] / max) * 100)}%`;
+      const time = document.createElement('span');
+      time.textContent = previous.length > 0
+        ? `${formatTime(now[category])} (${formatSignedTime(now[category] - (before[category] || 0))})`
+        : formatTime(now[category]);
+      item.append(name, bar, time);
+      categoryList.appendChild(item);
+    });
+  }
+
+  /**
+   * The selected period as dates (YYYY-MM-DD)
+   */
+  function periodRange() {
+    const today = new Date();
+    return {
+      from: toDateString(addDays(today, -(parseInt(periodSelect.value, 10) - 1))),
+      to: toDateString(today)
+    };
+  }
+
+  /**
+   * Have the background script build an export and save it as a file
+   * @param {Object} request { format, from, to } for the exportData message
+   */
+  function exportData(request) {
+    dataStatus.textContent = 'Preparing export…';
+    chrome.runtime.sendMessage({ action: 'exportData', ...request }, function(response) {
+      if (!response || !response.success) {
+        dataStatus.textContent = `Export failed: ${(response && response.error) || 'no answer from the extension'}`;
+        return;
+      }
+      const { filename, mimeType, content } = response.data;
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      dataStatus.textContent = `Saved ${filename}`;
+    });
+  }
+
+  /**
+   * Import the chosen JSON backup with the chosen conflict handling
+   */
+  function importData() {
+    const file = importFile.files[0];
+    if (!file) {
+      dataStatus.textContent = 'Choose a backup file first';
+      return;
+    }
+    const [mode, onConflict] = importMode.value.split(':');
+    if (mode === 'replace' && !confirm('Replace all your BattleTask data with this backup? This cannot be undone.')) return;
+
+    file.text().then(text => {
+      let backup;
+      try {
+        backup = JSON.parse(text);
+      } catch (error) {
+        dataStatus.textContent = 'Import failed: the file is not valid JSON';
+        return;
+      }
+      dataStatus.textContent = 'Importing…';
+      chrome.runtime.sendMessage({ action: 'importData', backup, mode, onConflict }, function(response) {
+        if (!response || !response.success) {
+          dataStatus.textContent = `Import failed: ${(response && response.error) || 'no answer from the extension'}`;
+          return;
+        }
+        const report = response.data;
+        dataStatus.textContent = `Imported ${report.days} days, ${report.sessions} sessions, ${report.overrides} overrides, ` +
+          `${report.blockedDomains} blocked domains and ${report.cachedUrls} cached analyses. ` +
+          (report.conflicts > 0
+            ? `${report.conflicts} conflicts ${onConflict === 'keep' ? 'kept your data' : 'took the backup\'s data'}.`
+            : 'No conflicts.');
+        loadDashboard();
+      });
+    });
+  }
+
+  function sumTotals(days) {
+    return days.reduce((totals, day) => ({
+      productiveTime: totals.productiveTime + day.productiveTime,
+      nonProductiveTime: totals.nonProductiveTime + day.nonProductiveTime
+    }), { productiveTime: 0, nonProductiveTime: 0 });
+  }
+
+  function sumCategories(days) {
+    const totals = {};
+    days.forEach(day => {
+      Object.keys(day.categoryTime || {}).forEach(category => {
+        totals[category] = (totals[category] || 0) + day.categoryTime[category];
+      });
+    });
+    return totals;
+  }
+
+  function productivePercentage(totals) {
+    const total = totals.productiveTime + totals.nonProductiveTime;
+    return total > 0 ? Math.round((totals.productiveTime / total) * 100) : 0;
+  }
+
+  function showEmpty(container, text) {
+    container.textContent = '';
+    const message = document.createElement('div');
+    message.className = 'empty';
+    message.textContent = text;
+    container.appendChild(message);
+  }
+
+  /**
+   * Create an SVG element
+   * @param {string} tag
+   * @param {Object} [attributes]
+   * @param {string} [text] Text content
+   * @returns {SVGElement}
+   */
+  function createSvg(tag, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Dates are the background script's day keys: YYYY-MM-DD in local time
+   */
+  function toDateString(date) {
+    return date.getFullYear() + '-' + (date.getMonth()+1).toString().padStart(2,'0') + '-' + date.getDate().toString().padStart(2,'0');
+  }
+
+  function parseDate(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  function addDays(date, days) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  // Monday is 0
+  function weekdayIndex(date) {
+    return (date.getDay() + 6) % 7;
+  }
+
+  /**
+   * Format time in milliseconds to a readable format
+   */
+  function formatTime(milliseconds) {
+    if (!milliseconds) return '0s';
+
+    const seconds = Math.floor(milliseconds / 1000);
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    return `${hours}h ${minutes % 60}m`;
+  }
+
+  function formatSignedTime(milliseconds) {
+    return `${milliseconds >= 0 ? '+' : '−'}${formatTime(Math.abs(milliseconds))}`;
+  }
+
+  /**
+   * Use the theme chosen in the popup (dark by default)
+   */
+  function loadThemePreference() {
+    chrome.storage.local.get(['settings'], function(data) {
+      if (data.settings && data.settings.theme === 'light') {
+        document.body.classList.add('light-theme');
+      }
+    });
+  }
+});
@@ -33,10 +33,49 @@ document.addEventListener('DOMContentLoaded', function() {
   const markNonProductiveBtn = document.getElementById('mark-nonproductive-btn');
   const removeOverrideBtn = document.getElementById('remove-override-btn');
   const overrideStatusDiv = document.getElementById('override-status');
+  const shareFeedbackCheckbox = document.getElementById('share-feedback-checkbox');
   const blockDomainInput = document.getElementById('block-domain-input');
   const addBlockDomainBtn = document.getElementById('add-block-domain-btn');
   const blockedDomainsList = document.getElementById('blocked-domains-list');
+  const historySummary = document.getElementById('history-summary');
+  const historyRetention = document.getElementById('history-retention');
+  const openDashboardButton = document.getElementById('open-dashboard');
+  const awayTime = document.getElementById('away-time');
+  const idleThreshold = document.getElementById('idle-threshold');
+  const quotaInfo = document.getElementById('quota-info');
+  const quotaRemaining = document.getElementById('quota-remaining');
+  const quotaReset = document.getElementById('quota-reset');
+  const profileSelect = document.getElementById('profile-select');
+  const customProfile = document.getElementById('custom-profile');
+  const customStrictness = document.getElementById('custom-strictness');
+  const customWeights = document.getElementById('custom-weights');
   let currentUrl = '';
+  
+  // Content categories a custom profile can weight (must match server/profiles.js)
+  const PROFILE_CATEGORIES = [
+    { id: 'education', label: 'Education' },
+    { id: 'programming', label: 'Programming' },
+    { id: 'research', label: 'Research' },
+    { id: 'news', label: 'News' },
+    { id: 'music', label: 'Music' },
+    { id: 'sports', label: 'Sports' },
+    { id: 'gaming', label: 'Gaming' },
+    { id: 'art_design', label: 'Art & design' },
+    { id: 'entertainment', label: 'Entertainment' },
+    { id: 'social', label: 'Social' },
+    { id: 'shopping', label: 'Shopping' }
+  ];
+  
+  const PROFILE_WEIGHT_OPTIONS = [
+    { value: 1, label: 'Productive' },
+    { value: 0.5, label: 'Somewhat productive' },
+    { value: 0, label: 'Judge each page' },
+    { value: -0.5, label: 'Lean unproductive' },
+    { value: -1, label: 'Unproductive' }
+  ];
+  
+  // Warn when less than this share of the daily analyses is left
+  const QUOTA_WARNING_RATIO = 0.1;
 
   // Initialize UI
   initializeUI();
@@ -51,6 +90,12 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load productive mode state
     loadProductiveModeState();
     
+    // Load classification profile
+    loadProfile();
+    
+    // Load feedback sharing preference
+    loadShareFeedback();
+    
     // Set up event listeners
     setupEventListeners();
     
@@ -65,6 +110,12 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Load user blocked domains
     loadBlockedDomains();
+    
+    // Load remaining daily analyses
+    loadQuota();
+    
+    // Load the last days' trend, the history retention and the idle threshold
+    loadHistory();
   }
 
   /**
@@ -73,6 +124,11 @@ document.addEventListener('DOMContentLoaded', function() {
   function setupEventListeners() {
     
     
+    // Open the dashboard in a tab
+    openDashboardButton.addEventListener('click', function() {
+      chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+    });
+    
     // Reset stats button
     resetStatsButton.addEventListener('click', function() {
       if (confirm('Are you sure you want to reset all statistics? This cannot be undone.')) {
@@ -238,6 +294,82 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  /**
+   * Summarize the last 7 days from the history archive, and load the retention and idle settings
+   */
+  function loadHistory() {
+    chrome.runtime.sendMessage({ action: 'getHistory' }, function(response) {
+      if (!response || !response.success) {
+        historySummary.textContent = 'Last 7 days: unavailable';
+        return;
+      }
+      
+      const productive = response.data.reduce((sum, day) => sum + day.productiveTime, 0);
+      const nonProductive = response.data.reduce((sum, day) => sum + day.nonProductiveTime, 0);
+      const total = productive + nonProductive;
+      historySummary.textContent = total > 0
+        ? `Last 7 days: ${formatTime(productive)} productive (${Math.round((productive / total) * 100)}%)`
+        : 'Last 7 days: no tracked time';
+    });
+    
+    chrome.storage.local.get(['settings'], function(data) {
+      const days = data.settings && data.settings.historyRetentionDays;
+      historyRetention.value = String(days || 90);
+      const seconds = data.settings && data.settings.idleThresholdSeconds;
+      idleThreshold.value = String(seconds || 120);
+    });
+    
+    historyRetention.addEventListener('change', function() {
+      chrome.runtime.sendMessage({ action: 'setHistoryRetention', days: parseInt(historyRetention.value, 10) });
+    });
+    
+    idleThreshold.addEventListener('change', function() {
+      chrome.runtime.sendMessage({ action: 'setIdleThreshold', seconds: parseInt(idleThreshold.value, 10) });
+    });
+  }
+
+  /**
+   * Load the remaining daily analyses from the background script
+   */
+  function loadQuota() {
+    chrome.runtime.sendMessage({ action: 'getQuota' }, function(response) {
+      if (response && response.success && response.data) {
+        updateQuotaUI(response.data);
+      } else {
+        console.error('Could not load quota');
+      }
+    });
+  }
+
+  /**
+   * Show remaining analyses and reset time, warning as the limit approaches
+   */
+  function updateQuotaUI(quota) {
+    if (quota.remaining === null || quota.limit === null) {
+      quotaRemaining.textContent = 'Analyses left today: unknown';
+      quotaReset.textContent = '';
+      return;
+    }
+    
+    // The backend resets the quota at resetTime; until the next sync assume it is full again
+    const hasReset = quota.resetTime && quota.resetTime <= Date.now();
+    const remaining = hasReset ? quota.limit : quota.remaining;
+    const isLow = remaining > 0 && remaining <= quota.limit * QUOTA_WARNING_RATIO;
+    
+    if (remaining <= 0) {
+      quotaRemaining.textContent = 'Daily analysis limit reached';
+    } else {
+      quotaRemaining.textContent = `Analyses left today: ${remaining}/${quota.limit}${isLow ? ' (running low)' : ''}`;
+    }
+    
+    quotaReset.textContent = quota.resetTime && !hasReset
+      ? `Resets at ${new Date(quota.resetTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : '';
+    
+    quotaInfo.classList.toggle('exhausted', remaining <= 0);
+    quotaInfo.classList.toggle('warning', isLow);
+  }
+
   /**
    * Update UI with current tab data
    */
@@ -254,11 +386,26 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
+    // The classifier was unavailable: no verdict, shown as neutral
+    if (tabData.degraded) {
+      statusIndicator.className = 'status-indicator neutral';
+      productivityStatus.textContent = 'Not rated';
+      productivityStatus.className = 'status neutral';
+      productivityScore.textContent = 'Score: --/100';
+      statusReason.textContent = tabData.explanation || 'No explanation available';
+      showOverrideUI(tabData);
+      return;
+    }
+    
     // Set status indicator and text
     const scoreValue = Math.min(100, tabData.score || 0);
     const isProductive = scoreValue >= 50; // Enforce 50/100 threshold in the UI
     
-    if (isProductive) {
+    if (tabData.verdict === 'uncertain') {
+      statusIndicator.className = 'status-indicator uncertain';
+      productivityStatus.textContent = isProductive ? 'Uncertain (leaning productive)' : 'Uncertain (leaning non-productive)';
+      productivityStatus.className = 'status uncertain';
+    } else if (isProductive) {
       statusIndicator.className = 'status-indicator productive';
       productivityStatus.textContent = 'Productive';
       productivityStatus.className = 'status productive';
@@ -268,8 +415,10 @@ document.addEventListener('DOMContentLoaded', function() {
       productivityStatus.className = 'status non-productive';
     }
     
-    // Set productivity score
-    productivityScore.textContent = `Score: ${scoreValue}/100`;
+    // Set productivity score, with the classifier's confidence when it reported one
+    productivityScore.textContent = typeof tabData.confidence === 'number'
+      ? `Score: ${scoreValue}/100 · ${Math.round(tabData.confidence * 100)}% confident`
+      : `Score: ${scoreValue}/100`;
     
     // Set explanation
     statusReason.textContent = tabData.explanation || 'No explanation available';
@@ -311,6 +460,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Update time values
     productiveTime.textContent = formatTime(stats.productiveTime);
     nonProductiveTime.textContent = formatTime(stats.nonProductiveTime);
+    awayTime.textContent = `Away today: ${formatTime(stats.awayTime)}`;
     
     // Update progress bar
     productivityPercentage.textContent = `${stats.productivePercentage}%`;
@@ -487,6 +637,86 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  /**
+   * Load the classification profile and build the custom weight controls
+   */
+  function loadProfile() {
+    PROFILE_CATEGORIES.forEach(category => {
+      const row = document.createElement('div');
+      row.className = 'profile-row';
+      
+      const label = document.createElement('span');
+      label.textContent = category.label;
+      
+      const select = document.createElement('select');
+      select.dataset.category = category.id;
+      PROFILE_WEIGHT_OPTIONS.forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.value;
+        optionEl.textContent = option.label;
+        select.appendChild(optionEl);
+      });
+      select.value = '0';
+      select.addEventListener('change', saveProfile);
+      
+      row.appendChild(label);
+      row.appendChild(select);
+      customWeights.appendChild(row);
+    });
+    
+    chrome.storage.local.get(['settings'], function(data) {
+      const settings = data.settings || {};
+      profileSelect.value = settings.profile || 'default';
+      customStrictness.value = settings.customStrictness || 'balanced';
+      
+      const weights = settings.customWeights || {};
+      customWeights.querySelectorAll('select').forEach(select => {
+        select.value = String(weights[select.dataset.category] || 0);
+      });
+      
+      customProfile.style.display = profileSelect.value === 'custom' ? 'block' : 'none';
+    });
+    
+    profileSelect.addEventListener('change', saveProfile);
+    customStrictness.addEventListener('change', saveProfile);
+  }
+
+  /**
+   * Load whether override feedback is shared with the backend (off by default)
+   */
+  function loadShareFeedback() {
+    chrome.storage.local.get(['settings'], function(data) {
+      shareFeedbackCheckbox.checked = !!(data.settings && data.settings.shareFeedback);
+    });
+    
+    shareFeedbackCheckbox.addEventListener('change', function() {
+      chrome.runtime.sendMessage({ action: 'setShareFeedback', enabled: shareFeedbackCheckbox.checked });
+    });
+  }
+  
+  /**
+   * Send the selected profile to the background script
+   */
+  function saveProfile() {
+    customProfile.style.display = profileSelect.value === 'custom' ? 'block' : 'none';
+    
+    const weights = {};
+    customWeights.querySelectorAll('select').forEach(select => {
+      const weight = parseFloat(select.value);
+      if (weight !== 0) weights[select.dataset.category] = weight;
+    });
+    
+    chrome.runtime.sendMessage({
+      action: 'setProfile',
+      profile: profileSelect.value,
+      customWeights: weights,
+      customStrictness: customStrictness.value
+    }, function() {
+      loadStatistics();
+      getCurrentTabData();
+    });
+  }
+
   /**
    * Render blocked domains list
    */
@@ -0,0 +1,59 @@
+/**
+ * Prompt-injection regression check.
+ *
+ * Runs every entry of server/fixtures/adversarial-titles.json through the
+ * injection defences and exits non-zero if any of them regress:
+ * 1. Detection flags exactly the entries marked "flagged"; in particular the
+ *    false-positive rate on the benign entries must be zero
+ * 2. A productive verdict on a flagged entry is always demoted, as if the model had been fooled
+ * 3. No entry can close the untrusted-input block early
+ *
+ * Usage: npm run check:injection
+ */
+
+const path = require('path');
+const { scanInput, applyInjectionPenalty } = require('../server/injection');
+const { renderUntrustedInput, buildYouTubePrompt } = require('../server/prompts');
+
+const corpus = require(path.join(__dirname, '..', 'server', 'fixtures', 'adversarial-titles.json'));
+
+const failures = [];
+let benign = 0;
+let falsePositives = 0;
+
+for (const entry of corpus) {
+  const input = { title: entry.title, channelName: entry.channelName, description: entry.description };
+  const scan = scanInput(input);
+
+  if (!entry.flagged) benign++;
+  if (scan.flagged !== entry.flagged) {
+    if (!entry.flagged) falsePositives++;
+    failures.push(`${entry.flagged ? 'Missed' : 'False positive'}: "${entry.title}" (patterns: ${scan.patterns.join(', ') || 'none'})`);
+  }
+
+  if (entry.flagged) {
+    const fooled = { isProductive: true, score: 95, categories: ['Educational'], explanation: 'Looks educational.' };
+    const result = applyInjectionPenalty(fooled, scan);
+    if (result.isProductive || !result.injectionSuspected) {
+      failures.push(`Not down-weighted: "${entry.title}"`);
+    }
+  }
+
+  const rendered = renderUntrustedInput(buildYouTubePrompt(input).input);
+  if ((rendered.match(/<\/untrusted_input>/g) || []).length !== 1) {
+    failures.push(`Breaks out of the untrusted block: "${entry.title}"`);
+  }
+}
+
+const falsePositiveRate = benign ? falsePositives / benign : 0;
+if (falsePositiveRate !== 0) {
+  failures.push(`False-positive rate is ${(falsePositiveRate * 100).toFixed(1)}% (${falsePositives} of ${benign} benign entries); it must be 0%`);
+}
+
+if (failures.length) {
+  console.error(`Injection corpus: ${failures.length} failure(s)`);
+  failures.forEach(failure => console.error(`  - ${failure}`));
+  process.exit(1);
+}
+
+console.log(`Injection corpus: all ${corpus.length} entries passed (false-positive rate 0% on ${benign} benign entries)`);
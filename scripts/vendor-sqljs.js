@@ -0,0 +1,36 @@
+/**
+ * Copy sql.js (SQLite compiled to WebAssembly) from node_modules into
+ * vendor/sql.js, where the extension loads it from. MV3's CSP only lets
+ * extension pages and the service worker run the extension's own files, so
+ * the library cannot come from a CDN.
+ *
+ * Run it after upgrading the sql.js devDependency and commit the result.
+ *
+ * Usage: npm run vendor:sqljs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', 'node_modules', 'sql.js');
+const target = path.join(__dirname, '..', 'vendor', 'sql.js');
+
+const files = [
+  ['dist/sql-wasm.js', 'sql-wasm.js'],
+  ['dist/sql-wasm.wasm', 'sql-wasm.wasm'],
+  ['LICENSE', 'LICENSE'],
+];
+
+if (!fs.existsSync(source)) {
+  console.error('sql.js is not installed; run npm install first');
+  process.exit(1);
+}
+
+fs.mkdirSync(target, { recursive: true });
+for (const [from, to] of files) {
+  fs.copyFileSync(path.join(source, from), path.join(target, to));
+}
+
+const { version } = require(path.join(source, 'package.json'));
+fs.writeFileSync(path.join(target, 'VERSION'), `${version}\n`);
+console.log(`Copied sql.js ${version} to vendor/sql.js`);
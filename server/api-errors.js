@@ -0,0 +1,82 @@
+/**
+ * Uniform API error envelope.
+ *
+ * Every error response has the shape
+ *   {"success": false, "error": {"code": "invalid_request", "message": "...", "details": [...]}}
+ * where `code` is a stable, machine-readable identifier from ERROR_CODES and
+ * `message` is meant for people. `details` is optional and lists individual
+ * validation problems.
+ */
+
+// Error codes and the HTTP status each one is sent with
+const ERROR_CODES = {
+  invalid_json: 400,
+  invalid_request: 400,
+  device_token_required: 401,
+  device_token_invalid: 401,
+  unauthorized: 401,
+  not_found: 404,
+  payload_too_large: 413,
+  rate_limited: 429,
+  internal_error: 500,
+};
+
+/**
+ * Build an error envelope.
+ * @param {string} code A key of ERROR_CODES.
+ * @param {string} message Human-readable description.
+ * @param {object[]} [details] Individual problems, e.g. {path, message} for validation errors.
+ * @returns {object} The response body.
+ */
+function errorBody(code, message, details) {
+  const error = { code, message };
+  if (details && details.length) error.details = details;
+  return { success: false, error };
+}
+
+/**
+ * Send an error envelope with the status that belongs to its code.
+ * @param {object} res The Express response.
+ * @param {string} code A key of ERROR_CODES.
+ * @param {string} message Human-readable description.
+ * @param {object[]} [details] Individual problems.
+ * @returns {object} The response, for chaining.
+ */
+function sendError(res, code, message, details) {
+  const status = ERROR_CODES[code];
+  if (status === undefined) {
+    throw new Error(`Unknown API error code "${code}"`);
+  }
+  return res.status(status).json(errorBody(code, message, details));
+}
+
+/**
+ * Express handler for requests that matched no route.
+ */
+function notFoundHandler(req, res) {
+  sendError(res, 'not_found', `No route for ${req.method} ${req.path}.`);
+}
+
+/**
+ * Express error handler: reports body-parser failures with their own codes and
+ * anything else as an internal error, always in the error envelope.
+ * Express recognizes error handlers by their four parameters, so `next` stays.
+ */
+function errorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'invalid_json', 'The request body is not valid JSON.');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'payload_too_large', 'The request body is too large.');
+  }
+  console.error(`Unhandled error in ${req.method} ${req.path}:`, error);
+  return sendError(res, 'internal_error', 'Internal server error.');
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorBody,
+  sendError,
+  notFoundHandler,
+  errorHandler,
+};
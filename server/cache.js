@@ -0,0 +1,233 @@
+/**
+ * Server-side classification cache.
+ *
+ * Holds recent results in an in-memory LRU, persists them to a JSON file so
+ * they survive restarts, expires them after a TTL and collapses concurrent
+ * identical requests into a single provider call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getYouTubeVideoId } = require('../shared/youtube-url');
+
+// Query parameters that never change what a page shows
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|igshid|mc_cid|mc_eid|ref|ref_src|si|feature)$/i;
+
+/**
+ * Build a cache key for a YouTube video from its URL.
+ * Every URL form of a video (watch, shorts, embed, live, youtu.be, m. and
+ * music. hosts, with or without timestamps and playlists) maps to the same key.
+ * @param {string} url The video URL.
+ * @returns {string|null} The key, or null if no video ID could be found.
+ */
+function videoKey(url) {
+  const videoId = getYouTubeVideoId(url);
+  return videoId ? `video:${videoId}` : null;
+}
+
+/**
+ * Build a cache key for a web page from its URL.
+ * Lower-cases the hostname, drops the fragment and tracking parameters and
+ * sorts the remaining query parameters.
+ * @param {string} url The page URL.
+ * @returns {string|null} The key, or null if the URL is invalid.
+ */
+function pageKey(url) {
+  try {
+    const urlObj = new URL(url);
+    const params = [...urlObj.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = new URLSearchParams(params).toString();
+    const pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+    return `page:${urlObj.hostname.toLowerCase()}${pathname}${query ? `?${query}` : ''}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build a cache key for a domain.
+ * @param {string} domain The hostname.
+ * @returns {string} The key.
+ */
+function domainKey(domain) {
+  return `domain:${domain.trim().toLowerCase().replace(/^www\./, '')}`;
+}
+
+/**
+ * Scope a cache key to a user profile: the same page can be productive for one
+ * profile and unproductive for another.
+ * @param {string|null} key A key from videoKey, pageKey or domainKey.
+ * @param {{key: string}} profile The resolved profile.
+ * @returns {string|null} The scoped key, or null if there is no key.
+ */
+function profileKey(key, profile) {
+  return key ? `profile:${profile.key}|${key}` : null;
+}
+
+/**
+ * Scope a cache key to a prompt version, so results from an A/B candidate
+ * prompt never mix with those of the active one.
+ * @param {string|null} key A cache key.
+ * @param {string|null} promptVersion The prompt version, or null for providers without prompts.
+ * @returns {string|null} The scoped key.
+ */
+function promptKey(key, promptVersion) {
+  return key && promptVersion ? `prompt:${promptVersion}|${key}` : key;
+}
+
+/**
+ * Create a classification cache.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] Maximum number of entries held in memory.
+ * @param {number} [options.ttlMs] Time after which an entry expires.
+ * @param {string} [options.filePath] JSON file to persist to; persistence is disabled when empty.
+ * @param {number} [options.writeDelayMs] Debounce delay for file writes.
+ * @returns {object} The cache.
+ */
+function createClassificationCache({
+  maxEntries = 5000,
+  ttlMs = 7 * 24 * 60 * 60 * 1000,
+  filePath = '',
+  writeDelayMs = 5000,
+} = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const inFlight = new Map();
+  let writeTimer = null;
+
+  function isExpired(entry, now = Date.now()) {
+    return now - entry.timestamp > ttlMs;
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(stored)) {
+        if (!isExpired(entry, now)) entries.set(key, entry);
+      }
+      evict();
+      console.log(`Loaded ${entries.size} cached classifications from ${filePath}`);
+    } catch (error) {
+      console.error(`Failed to load classification cache from ${filePath}:`, error);
+    }
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function scheduleWrite() {
+    if (!filePath || writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      flush().catch(error => console.error('Failed to persist classification cache:', error));
+    }, writeDelayMs);
+    if (writeTimer.unref) writeTimer.unref();
+  }
+
+  async function flush() {
+    if (!filePath) return;
+    if (writeTimer) {
+      clearTimeout(writeTimer);
+      writeTimer = null;
+    }
+    const now = Date.now();
+    const snapshot = {};
+    for (const [key, entry] of entries) {
+      if (!isExpired(entry, now)) snapshot[key] = entry;
+    }
+    // Write to a temporary file first so a crash never leaves a truncated cache
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      scheduleWrite();
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, timestamp: Date.now() });
+    evict();
+    scheduleWrite();
+  }
+
+  /**
+   * Return the cached value for a key, or compute and cache it.
+   * Concurrent calls for the same key share one computation. Null results and
+   * errors are never cached.
+   * @param {string|null} key The cache key; a null key bypasses the cache.
+   * @param {Function} compute Async function producing the value.
+   * @param {object} [options]
+   * @param {Function} [options.shouldStore] Called with a computed value; returning
+   *   false keeps it out of the cache (it is still shared with concurrent callers).
+   * @returns {Promise<{value: *, source: string}>} The value and where it came
+   *   from: 'cache', 'inflight' (joined a pending computation) or 'computed'.
+   */
+  async function getOrCompute(key, compute, { shouldStore = () => true } = {}) {
+    if (!key) {
+      return { value: await compute(), source: 'computed' };
+    }
+
+    const cached = get(key);
+    if (cached !== null) {
+      return { value: cached, source: 'cache' };
+    }
+
+    if (inFlight.has(key)) {
+      return { value: await inFlight.get(key), source: 'inflight' };
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await compute();
+        if (value !== null && value !== undefined && shouldStore(value)) set(key, value);
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+    inFlight.set(key, pending);
+
+    return { value: await pending, source: 'computed' };
+  }
+
+  load();
+
+  return {
+    get,
+    set,
+    getOrCompute,
+    flush,
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = {
+  createClassificationCache,
+  videoKey,
+  pageKey,
+  domainKey,
+  profileKey,
+  promptKey,
+};
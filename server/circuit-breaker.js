@@ -0,0 +1,120 @@
+/**
+ * Circuit breaker for classifier provider calls.
+ *
+ * The breaker watches the outcome of the most recent calls. When too many of
+ * them failed (thrown errors: network problems, rate limits, outages) it
+ * opens and callers skip the provider entirely. After a cool-down it lets a
+ * single probe call through (half-open): if the probe succeeds the breaker
+ * closes again, otherwise it stays open for another cool-down.
+ *
+ *   closed --(failure rate >= threshold)--> open --(cool-down)--> half_open
+ *   half_open --(probe succeeds)--> closed
+ *   half_open --(probe fails)--> open
+ */
+
+const STATES = ['closed', 'open', 'half_open'];
+
+/**
+ * Create a circuit breaker.
+ * @param {object} [options]
+ * @param {number} [options.windowSize=20] Number of recent calls the failure rate is computed over.
+ * @param {number} [options.minCalls=5] Calls needed in the window before the breaker can open.
+ * @param {number} [options.failureRate=0.5] Failure rate (0-1) at which the breaker opens.
+ * @param {number} [options.openMs=30000] How long the breaker stays open before probing.
+ * @param {Function} [options.onStateChange] Called with (state, previousState) on every transition.
+ * @param {Function} [options.now] Clock, for tests.
+ * @returns {object} {execute, status}
+ */
+function createCircuitBreaker({
+  windowSize = 20,
+  minCalls = 5,
+  failureRate = 0.5,
+  openMs = 30000,
+  onStateChange = () => {},
+  now = Date.now,
+} = {}) {
+  let state = 'closed';
+  let openedAt = null;
+  let probeInFlight = false;
+  // Outcomes of the most recent calls, true for a failure
+  let outcomes = [];
+
+  function transition(next) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    outcomes = [];
+    openedAt = next === 'open' ? now() : null;
+    onStateChange(next, previous);
+  }
+
+  function currentFailureRate() {
+    if (!outcomes.length) return 0;
+    return outcomes.filter(Boolean).length / outcomes.length;
+  }
+
+  function recordOutcome(failed, isProbe) {
+    if (isProbe) {
+      probeInFlight = false;
+      transition(failed ? 'open' : 'closed');
+      return;
+    }
+    // A call started before the breaker opened may finish after; it no longer counts
+    if (state !== 'closed') return;
+
+    outcomes.push(failed);
+    if (outcomes.length > windowSize) outcomes.shift();
+    if (outcomes.length >= minCalls && currentFailureRate() >= failureRate) {
+      transition('open');
+    }
+  }
+
+  /**
+   * Run a call through the breaker.
+   * @param {Function} fn Async function performing the call.
+   * @returns {Promise<*>} The call's result.
+   * @throws {Error} The call's own error, or an error with code 'CIRCUIT_OPEN'
+   *   when the breaker did not let the call through.
+   */
+  async function execute(fn) {
+    if (state === 'open' && now() - openedAt >= openMs) {
+      transition('half_open');
+    }
+    if (state === 'open' || (state === 'half_open' && probeInFlight)) {
+      const error = new Error('Circuit breaker is open');
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    const isProbe = state === 'half_open';
+    if (isProbe) probeInFlight = true;
+    try {
+      const result = await fn();
+      recordOutcome(false, isProbe);
+      return result;
+    } catch (error) {
+      recordOutcome(true, isProbe);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the breaker, e.g. for the health check.
+   * @returns {{state: string, failureRate: number, calls: number, retryAt: string|null}}
+   */
+  function status() {
+    return {
+      state,
+      failureRate: Math.round(currentFailureRate() * 1000) / 1000,
+      calls: outcomes.length,
+      retryAt: state === 'open' ? new Date(openedAt + openMs).toISOString() : null,
+    };
+  }
+
+  return { execute, status };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  STATES,
+};
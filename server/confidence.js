@@ -0,0 +1,76 @@
+/**
+ * Calibrated confidence and three-way verdicts.
+ *
+ * Providers answer with a 0-100 productivity score. Used raw against a single
+ * threshold, a page scored around 50 flips between productive and
+ * unproductive from one analysis to the next. Instead the score is mapped
+ * through a calibration curve to the probability that the page is productive,
+ * and the verdict is "uncertain" unless that probability is clearly on one side.
+ */
+
+// Piecewise-linear curves from score to the probability that the page is
+// productive. Model scores are reliable at the extremes but not in the middle;
+// heuristic scores come from keyword counts and are weaker evidence throughout.
+const CALIBRATION_CURVES = {
+  model: [[0, 0.03], [20, 0.1], [40, 0.3], [50, 0.5], [60, 0.7], [80, 0.9], [100, 0.97]],
+  heuristic: [[0, 0.2], [30, 0.35], [50, 0.5], [70, 0.65], [100, 0.8]],
+};
+
+// Confidence needed for a productive or unproductive verdict
+const DEFAULT_MIN_CONFIDENCE = 0.65;
+
+const VERDICTS = ['productive', 'unproductive', 'uncertain'];
+
+/**
+ * Map a score to the probability that the page is productive.
+ * @param {number} score Score from 0 to 100.
+ * @param {string} curve 'model' or 'heuristic'.
+ * @returns {number} Probability from 0 to 1.
+ */
+function calibrate(score, curve) {
+  const points = CALIBRATION_CURVES[curve];
+  const x = Math.min(100, Math.max(0, score));
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Work out the verdict and confidence of an analysis.
+ * An analysis whose isProductive contradicts its own score is uncertain.
+ * @param {object} analysis {isProductive, score}; both null when unclassified.
+ * @param {object} [options]
+ * @param {string} [options.curve='model'] Calibration curve: 'model' or 'heuristic'.
+ * @param {number} [options.minConfidence] Confidence needed for a productive or unproductive verdict.
+ * @returns {{verdict: string, confidence: number|null}} One of VERDICTS, and the
+ *   calibrated probability (0.5-1) that the page is on the side it leans to;
+ *   null when there is no score.
+ */
+function assessVerdict({ isProductive, score }, { curve = 'model', minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  if (typeof score !== 'number') {
+    return { verdict: 'uncertain', confidence: null };
+  }
+
+  const probability = calibrate(score, curve);
+  const confidence = Math.round(Math.max(probability, 1 - probability) * 100) / 100;
+  const leansProductive = probability >= 0.5;
+  const contradicts = typeof isProductive === 'boolean' && isProductive !== leansProductive;
+
+  if (confidence < minConfidence || contradicts) {
+    return { verdict: 'uncertain', confidence };
+  }
+  return { verdict: leansProductive ? 'productive' : 'unproductive', confidence };
+}
+
+module.exports = {
+  CALIBRATION_CURVES,
+  DEFAULT_MIN_CONFIDENCE,
+  VERDICTS,
+  calibrate,
+  assessVerdict,
+};
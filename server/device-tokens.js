@@ -0,0 +1,107 @@
+/**
+ * Signed device tokens.
+ *
+ * The daily device limit used to key on a client-chosen x-device-id header,
+ * which could be rotated at will. Devices now register once via
+ * /api/register-device and receive a token that carries a server-issued device
+ * ID signed with HMAC-SHA256. Only IDs from valid tokens are trusted.
+ *
+ * Token format: v1.<deviceId>.<issuedAt ms>.<base64url signature>
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('./api-errors');
+
+const TOKEN_VERSION = 'v1';
+const DEFAULT_TTL_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+/**
+ * Create a token service.
+ * @param {object} options
+ * @param {string} options.secret HMAC secret; tokens only verify with the secret that signed them.
+ * @param {number} [options.ttlMs] How long an issued token stays valid.
+ * @returns {object} {issue, verify}
+ */
+function createDeviceTokenService({ secret, ttlMs = DEFAULT_TTL_MS }) {
+  if (!secret) {
+    throw new Error('A device token secret is required');
+  }
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Issue a token for a new device.
+   * @returns {{deviceId: string, token: string, expiresAt: number}}
+   */
+  function issue() {
+    const deviceId = crypto.randomUUID();
+    const issuedAt = Date.now();
+    const payload = `${TOKEN_VERSION}.${deviceId}.${issuedAt}`;
+    return { deviceId, token: `${payload}.${sign(payload)}`, expiresAt: issuedAt + ttlMs };
+  }
+
+  /**
+   * Verify a token.
+   * @param {string} token The token sent by the client.
+   * @returns {string|null} The device ID, or null if the token is malformed, forged or expired.
+   */
+  function verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) return null;
+
+    const [, deviceId, issuedAt, signature] = parts;
+    const expected = Buffer.from(sign(parts.slice(0, 3).join('.')));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    const issuedAtMs = Number(issuedAt);
+    if (!Number.isFinite(issuedAtMs) || Date.now() - issuedAtMs > ttlMs) {
+      return null;
+    }
+    return deviceId;
+  }
+
+  return { issue, verify };
+}
+
+/**
+ * Express middleware that verifies the X-Device-Token header.
+ * A valid token sets req.deviceId. An invalid or expired token is always
+ * rejected with 401 so the client knows to register again; a missing token is
+ * rejected only when tokens are required.
+ * @param {object} service A token service from createDeviceTokenService.
+ * @param {object} [options]
+ * @param {boolean} [options.required=true] Whether requests without a token are rejected.
+ * @param {string[]} [options.exemptPaths] Paths (relative to the mount point) that skip verification.
+ * @returns {Function} The middleware.
+ */
+function requireDeviceToken(service, { required = true, exemptPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (exemptPaths.includes(req.path)) return next();
+
+    const token = req.headers['x-device-token'];
+    if (!token) {
+      if (!required) return next();
+      return sendError(res, 'device_token_required', 'Device token required. Register via /api/register-device.');
+    }
+
+    const deviceId = service.verify(token);
+    if (!deviceId) {
+      return sendError(res, 'device_token_invalid', 'Invalid or expired device token. Register again.');
+    }
+
+    req.deviceId = deviceId;
+    next();
+  };
+}
+
+module.exports = {
+  createDeviceTokenService,
+  requireDeviceToken,
+};
@@ -0,0 +1,59 @@
+/**
+ * Centrally served domain rule lists.
+ *
+ * The extension used to ship its always-productive and always-unproductive
+ * domain lists hard-coded, so every change needed a release. The lists now
+ * live in a versioned JSON file that the extension syncs from
+ * /api/domain-lists, using the ETag to skip unchanged downloads.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LISTS_PATH = path.join(__dirname, 'domain-lists.json');
+
+/**
+ * Normalize and validate a list of domains.
+ * @param {*} domains The list from the file.
+ * @param {string} name List name, for error messages.
+ * @returns {string[]} Lower-cased, de-duplicated hostnames.
+ */
+function normalizeDomains(domains, name) {
+  if (!Array.isArray(domains) || domains.some(domain => typeof domain !== 'string' || !domain.trim())) {
+    throw new Error(`Domain list "${name}" must be an array of hostnames`);
+  }
+  return [...new Set(domains.map(domain => domain.trim().toLowerCase().replace(/^www\./, '')))];
+}
+
+/**
+ * Load the domain lists and compute their ETag.
+ * @param {string} [filePath] JSON file with {version, updatedAt, productive, unproductive}.
+ * @param {object} [options]
+ * @param {string[]|null} [options.domainPromptVersions] Prompt versions currently classifying
+ *   whole domains, served along with the lists so the extension can drop domain
+ *   classifications made by any other version; null when the classifier uses no prompts.
+ * @returns {{lists: object, etag: string}} The lists and a strong ETag of their content.
+ * @throws {Error} If the file is missing or malformed.
+ */
+function loadDomainLists(filePath = DEFAULT_LISTS_PATH, { domainPromptVersions = null } = {}) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Number.isInteger(raw.version)) {
+    throw new Error('Domain lists need an integer "version"');
+  }
+
+  const lists = {
+    version: raw.version,
+    updatedAt: raw.updatedAt || null,
+    productive: normalizeDomains(raw.productive, 'productive'),
+    unproductive: normalizeDomains(raw.unproductive, 'unproductive'),
+    domainPromptVersions,
+  };
+
+  const hash = crypto.createHash('sha256').update(JSON.stringify(lists)).digest('hex').substring(0, 16);
+  return { lists, etag: `"v${lists.version}-${hash}"` };
+}
+
+module.exports = {
+  loadDomainLists,
+};
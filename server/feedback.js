@@ -0,0 +1,176 @@
+/**
+ * Override feedback store.
+ *
+ * When a user who opted in overrides a classification in the popup, the
+ * extension reports the page, the model's verdict and the user's verdict to
+ * /api/feedback. Records are appended to a JSON Lines file, never rewritten,
+ * and summarized into a disagreement report per domain and per prompt version
+ * so misclassified sites and regressions in candidate prompts stand out.
+ *
+ * Records carry no device ID or IP address.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Validate a feedback request body.
+ * @param {object} body The request body: {url, title, modelVerdict: {isProductive, score}, userVerdict, promptVersion}.
+ * @returns {{feedback?: object, error?: string}} The normalized feedback (without profile), or an error.
+ */
+function parseFeedback(body) {
+  const { url, title, modelVerdict, userVerdict, promptVersion = null } = body || {};
+
+  let domain;
+  try {
+    const urlObj = new URL(url);
+    if (!['http:', 'https:'].includes(urlObj.protocol) || url.length > MAX_URL_LENGTH) throw new Error();
+    domain = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return { error: 'A valid http(s) URL is required.' };
+  }
+
+  if (title !== undefined && typeof title !== 'string') {
+    return { error: 'Title must be a string.' };
+  }
+
+  if (!modelVerdict || typeof modelVerdict.isProductive !== 'boolean') {
+    return { error: 'modelVerdict.isProductive must be a boolean.' };
+  }
+  const score = modelVerdict.score === undefined ? null : modelVerdict.score;
+  if (score !== null && (typeof score !== 'number' || score < 0 || score > 100)) {
+    return { error: 'modelVerdict.score must be a number between 0 and 100.' };
+  }
+
+  if (typeof userVerdict !== 'boolean') {
+    return { error: 'userVerdict must be a boolean.' };
+  }
+
+  if (promptVersion !== null && typeof promptVersion !== 'string') {
+    return { error: 'promptVersion must be a string or null.' };
+  }
+
+  return {
+    feedback: {
+      url,
+      domain,
+      title: (title || '').substring(0, MAX_TITLE_LENGTH),
+      modelVerdict: { isProductive: modelVerdict.isProductive, score },
+      userVerdict,
+      promptVersion,
+    },
+  };
+}
+
+/**
+ * Create a feedback store.
+ * @param {object} [options]
+ * @param {string} [options.filePath] JSON Lines file records are appended to; kept in memory only when empty.
+ * @returns {object} {record, report, size}
+ */
+function createFeedbackStore({ filePath = '' } = {}) {
+  // Aggregates are kept up to date as records arrive, so reports never re-read the file
+  const byDomain = new Map();
+  const byPromptVersion = new Map();
+  let total = 0;
+  // Appends are chained so records are written in the order they arrived
+  let writes = Promise.resolve();
+
+  function tally(groups, name, record) {
+    if (!groups.has(name)) {
+      groups.set(name, { total: 0, disagreements: 0, falsePositives: 0, falseNegatives: 0 });
+    }
+    const group = groups.get(name);
+    group.total++;
+    if (record.modelVerdict.isProductive !== record.userVerdict) {
+      group.disagreements++;
+      if (record.modelVerdict.isProductive) group.falsePositives++;
+      else group.falseNegatives++;
+    }
+  }
+
+  function add(record) {
+    total++;
+    tally(byDomain, record.domain, record);
+    tally(byPromptVersion, record.promptVersion || 'none', record);
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+      let skipped = 0;
+      for (const line of lines) {
+        try {
+          add(JSON.parse(line));
+        } catch (e) {
+          // A crash mid-append can leave a partial last line
+          skipped++;
+        }
+      }
+      console.log(`Loaded ${total} feedback records from ${filePath}${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+    } catch (error) {
+      console.error(`Failed to load feedback from ${filePath}:`, error);
+    }
+  }
+
+  /**
+   * Append a feedback record.
+   * @param {object} feedback Feedback from parseFeedback, plus the profile key.
+   * @returns {Promise<object>} The stored record.
+   */
+  async function record(feedback) {
+    const stored = { ...feedback, receivedAt: new Date().toISOString() };
+    add(stored);
+    if (filePath) {
+      writes = writes
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.appendFile(filePath, `${JSON.stringify(stored)}\n`);
+        });
+      await writes;
+    }
+    return stored;
+  }
+
+  /**
+   * Summarize disagreements between the model and users.
+   * A false positive is a page the model called productive that the user did
+   * not; a false negative is the reverse.
+   * @param {object} [options]
+   * @param {number} [options.minRecords=1] Leave out domains with fewer records.
+   * @param {number} [options.limit=50] Maximum number of domains, most disagreements first.
+   * @returns {object} {total, disagreements, disagreementRate, byDomain, byPromptVersion}
+   */
+  function report({ minRecords = 1, limit = 50 } = {}) {
+    const summarize = (groups, nameField) => [...groups.entries()]
+      .map(([name, group]) => ({
+        [nameField]: name,
+        ...group,
+        disagreementRate: Math.round((group.disagreements / group.total) * 1000) / 1000,
+      }))
+      .sort((a, b) => b.disagreements - a.disagreements || b.total - a.total);
+
+    const disagreements = [...byPromptVersion.values()].reduce((sum, group) => sum + group.disagreements, 0);
+    return {
+      total,
+      disagreements,
+      disagreementRate: total ? Math.round((disagreements / total) * 1000) / 1000 : 0,
+      byDomain: summarize(byDomain, 'domain').filter(group => group.total >= minRecords).slice(0, limit),
+      byPromptVersion: summarize(byPromptVersion, 'promptVersion'),
+    };
+  }
+
+  load();
+
+  return { record, report, size: () => total };
+}
+
+module.exports = {
+  parseFeedback,
+  createFeedbackStore,
+};
@@ -0,0 +1,219 @@
+/**
+ * Request logging and metrics.
+ *
+ * Writes one structured JSON log line per request and keeps Prometheus-style
+ * counters and histograms that are exposed on /metrics. Client IP addresses
+ * are never logged or used as labels; they are only seen transiently by the
+ * rate limiters.
+ */
+
+// Latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Format a label set as a Prometheus label string.
+ * @param {object} labels Label names and values.
+ * @returns {string} e.g. {route="/api/x",status="200"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Create a counter metric.
+ * @param {string} name Metric name.
+ * @param {string} help Help text.
+ * @returns {object} The counter.
+ */
+function createCounter(name, help) {
+  const values = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [labels, value] of values) lines.push(`${name}${labels} ${value}`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/**
+ * Create a gauge metric.
+ * @param {string} name Metric name.
+ * @param {string} help Help text.
+ * @returns {object} The gauge.
+ */
+function createGauge(name, help) {
+  const values = new Map();
+  return {
+    set(labels = {}, value) {
+      values.set(formatLabels(labels), value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const [labels, value] of values) lines.push(`${name}${labels} ${value}`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/**
+ * Create a histogram metric.
+ * @param {string} name Metric name.
+ * @param {string} help Help text.
+ * @param {number[]} buckets Upper bounds of the buckets.
+ * @returns {object} The histogram.
+ */
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    },
+  };
+}
+
+const metrics = {
+  requests: createCounter('battletask_http_requests_total', 'HTTP requests by route, method and status.'),
+  duration: createHistogram('battletask_http_request_duration_seconds', 'HTTP request latency by route.', DURATION_BUCKETS),
+  cache: createCounter('battletask_cache_lookups_total', 'Classification cache lookups by task and result (hit, miss, coalesced).'),
+  provider: createCounter('battletask_provider_calls_total', 'Classifier provider calls by provider, task, outcome and prompt version.'),
+  quotaUnits: createCounter('battletask_quota_units_total', 'Rate-limit quota units consumed by limiter.'),
+  quotaRejections: createCounter('battletask_quota_rejections_total', 'Requests rejected because a daily limit was reached.'),
+  circuitState: createGauge('battletask_provider_circuit_state', 'Classifier circuit breaker state by provider (1 for the current state, 0 otherwise).'),
+  circuitTransitions: createCounter('battletask_provider_circuit_transitions_total', 'Classifier circuit breaker state changes by provider and new state.'),
+};
+
+/**
+ * Write a structured log line.
+ * @param {string} level 'info', 'warn' or 'error'.
+ * @param {string} event Short event name.
+ * @param {object} [fields] Extra fields; must never contain IP addresses.
+ */
+function log(level, event, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields });
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Map a cache source from the classification cache to a metric label.
+ * @param {string} source 'cache', 'inflight' or 'computed'.
+ * @returns {string} 'hit', 'coalesced' or 'miss'.
+ */
+function cacheResultLabel(source) {
+  if (source === 'cache') return 'hit';
+  if (source === 'inflight') return 'coalesced';
+  return 'miss';
+}
+
+/**
+ * Record one classification: a cache lookup and, on a miss, the provider outcome.
+ * @param {object} details
+ * @param {string} details.task 'video', 'page' or 'domain'.
+ * @param {string} details.provider Provider name.
+ * @param {string} details.cacheSource Source reported by the classification cache.
+ * @param {string} details.outcome 'classified', 'degraded' (answered by the fallback classifier), 'unclassified' or 'error'.
+ * @param {string|null} [details.promptVersion] Prompt version used, if the provider uses prompts.
+ * @param {object} [trace] Per-request object collecting details for the request log line.
+ */
+function recordClassification({ task, provider, cacheSource, outcome, promptVersion = null }, trace) {
+  const cache = cacheResultLabel(cacheSource);
+  metrics.cache.inc({ task, result: cache });
+  if (cache === 'miss') {
+    metrics.provider.inc({ provider, task, outcome, prompt_version: promptVersion || 'none' });
+  }
+  if (trace) {
+    trace.cache = cache;
+    trace.outcome = cache === 'miss' ? outcome : 'cached';
+    trace.promptVersion = promptVersion;
+  }
+}
+
+/**
+ * Express middleware that logs and measures every request.
+ * Route handlers may add `cache`, `outcome` and `promptVersion` to res.locals for the log line.
+ * Expects the device limiter to store its state on req.deviceRateLimit and the
+ * IP limiter on req.rateLimit.
+ * @returns {Function} The middleware.
+ */
+function requestMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      // Unmatched paths share one label so arbitrary URLs cannot inflate the series
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const status = res.statusCode;
+
+      metrics.requests.inc({ route, method: req.method, status });
+      metrics.duration.observe({ route }, seconds);
+
+      // Both limiters may have run; report the tighter of the two
+      const limits = [['device', req.deviceRateLimit], ['ip', req.rateLimit]].filter(([, info]) => info);
+      limits.forEach(([limiter]) => metrics.quotaUnits.inc({ limiter }));
+      const quotaRemaining = limits.length ? Math.min(...limits.map(([, info]) => info.remaining)) : undefined;
+      if (status === 429) {
+        metrics.quotaRejections.inc();
+      }
+
+      log(status >= 500 ? 'error' : 'info', 'request', {
+        route,
+        method: req.method,
+        status,
+        latencyMs: Math.round(seconds * 1000),
+        cache: res.locals.cache,
+        outcome: res.locals.outcome,
+        promptVersion: res.locals.promptVersion,
+        quotaRemaining,
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format.
+ * @returns {string}
+ */
+function renderMetrics() {
+  return `${Object.values(metrics).map(metric => metric.render()).join('\n\n')}\n`;
+}
+
+module.exports = {
+  metrics,
+  log,
+  recordClassification,
+  requestMetrics,
+  renderMetrics,
+};
@@ -0,0 +1,194 @@
+/**
+ * Schema validation for classifier output.
+ *
+ * Language models do not reliably return clean JSON: replies get wrapped in
+ * markdown or prose, carry trailing commas or use the wrong types. This module
+ * extracts the JSON object from a reply, coerces values whose meaning is
+ * unambiguous and reports everything else as a validation error so the caller
+ * can retry or report the page as unclassified.
+ */
+
+// "mixed" domains (video, social, news sites...) need each page judged on its own
+const DOMAIN_CLASSIFICATIONS = ['always_productive', 'always_unproductive', 'mixed'];
+
+// Schemas describe the fields each classifier must return
+const ANALYSIS_SCHEMA = {
+  name: 'analysis',
+  fields: {
+    isProductive: { type: 'boolean' },
+    score: { type: 'number', min: 0, max: 100 },
+    categories: { type: 'string[]', optional: true },
+    explanation: { type: 'string', optional: true },
+  },
+  example: '{"isProductive": true, "score": 85, "categories": ["Programming"], "explanation": "A Python tutorial."}',
+};
+
+const DOMAIN_SCHEMA = {
+  name: 'domain classification',
+  fields: {
+    classification: { type: 'enum', values: DOMAIN_CLASSIFICATIONS },
+  },
+  example: '{"classification": "always_productive"}',
+};
+
+/**
+ * Find the first balanced {...} block in a string, ignoring braces inside strings.
+ * @param {string} text The text to search.
+ * @returns {string|null} The JSON-looking substring.
+ */
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.substring(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract a JSON object from a model reply.
+ * Handles markdown code fences, surrounding prose, trailing commas and smart quotes.
+ * @param {string} text The raw reply.
+ * @returns {object|null} The parsed object, or null if none could be parsed.
+ */
+function extractJson(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const candidate = findJsonObject(text.replace(/```(?:json)?/gi, ''));
+  if (!candidate) return null;
+
+  const cleaned = candidate
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    const parsed = JSON.parse(cleaned);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Coerce a single value to a field type.
+ * @returns {{ok: boolean, value?: *, error?: string}}
+ */
+function coerceField(name, rule, value) {
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return { ok: true, value };
+      if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+      return { ok: false, error: `"${name}" must be true or false` };
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { ok: false, error: `"${name}" must be a number` };
+      }
+      return { ok: true, value: Math.min(rule.max, Math.max(rule.min, number)) };
+    }
+
+    case 'string':
+      if (typeof value === 'string') return { ok: true, value };
+      if (typeof value === 'number') return { ok: true, value: String(value) };
+      return { ok: false, error: `"${name}" must be a string` };
+
+    case 'string[]':
+      if (typeof value === 'string') return { ok: true, value: [value] };
+      if (Array.isArray(value) && value.every(item => typeof item === 'string')) return { ok: true, value };
+      return { ok: false, error: `"${name}" must be an array of strings` };
+
+    case 'enum':
+      if (rule.values.includes(value)) return { ok: true, value };
+      return { ok: false, error: `"${name}" must be one of ${rule.values.map(v => `"${v}"`).join(', ')}` };
+
+    default:
+      return { ok: false, error: `"${name}" has an unknown type` };
+  }
+}
+
+/**
+ * Validate and coerce an object against a schema.
+ * Unknown fields are dropped; optional fields get empty defaults.
+ * @param {*} value The parsed reply.
+ * @param {object} schema ANALYSIS_SCHEMA or DOMAIN_SCHEMA.
+ * @returns {{valid: boolean, value: object|null, errors: string[]}}
+ */
+function validate(value, schema) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, value: null, errors: ['reply is not a JSON object'] };
+  }
+
+  const result = {};
+  const errors = [];
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    if (value[name] === undefined || value[name] === null) {
+      if (rule.optional) {
+        result[name] = rule.type === 'string[]' ? [] : '';
+      } else {
+        errors.push(`"${name}" is missing`);
+      }
+      continue;
+    }
+    const coerced = coerceField(name, rule, value[name]);
+    if (coerced.ok) result[name] = coerced.value;
+    else errors.push(coerced.error);
+  }
+
+  return errors.length ? { valid: false, value: null, errors } : { valid: true, value: result, errors: [] };
+}
+
+/**
+ * Parse and validate a raw model reply.
+ * @param {string} text The raw reply.
+ * @param {object} schema The schema to validate against.
+ * @returns {{valid: boolean, value: object|null, errors: string[]}}
+ */
+function parseModelOutput(text, schema) {
+  const parsed = extractJson(text);
+  if (!parsed) {
+    return { valid: false, value: null, errors: ['reply does not contain a parseable JSON object'] };
+  }
+  return validate(parsed, schema);
+}
+
+/**
+ * Build a follow-up message asking the model to fix an invalid reply.
+ * It is sent as a new turn after the invalid reply, so it does not repeat it.
+ * @param {string[]} errors Validation errors for the reply.
+ * @param {object} schema The expected schema.
+ * @returns {string} The corrective message.
+ */
+function buildCorrectionMessage(errors, schema) {
+  return `
+        Your previous reply could not be used. Problems: ${errors.join('; ')}.
+        Reply again with ONLY a JSON object, no markdown and no other text, for example:
+        ${schema.example}
+      `;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  DOMAIN_SCHEMA,
+  DOMAIN_CLASSIFICATIONS,
+  extractJson,
+  validate,
+  parseModelOutput,
+  buildCorrectionMessage,
+};
@@ -0,0 +1,767 @@
+/**
+ * OpenAPI contract for the backend.
+ *
+ * The document built here describes every route, its request body and its
+ * responses. It is served from /api/openapi.json and drives validation:
+ * request bodies and query parameters are checked before a route handler runs
+ * (invalid requests get an `invalid_request` error envelope), and JSON
+ * responses are checked against their declared schema, with mismatches logged
+ * so contract drift shows up in the logs instead of in the extension.
+ *
+ * Only the subset of JSON Schema used in the document is implemented: type,
+ * nullable, enum, $ref, oneOf, properties, required, additionalProperties,
+ * items, min/maxItems, min/maxLength, pattern, minimum/maximum and the formats
+ * "uri" (an http(s) URL) and "youtube-url" (any YouTube URL, see shared/youtube-url.js).
+ * A schema's `x-pattern-message` replaces the generic message for a pattern mismatch.
+ */
+
+const validator = require('validator');
+const { isYouTubeUrl } = require('../shared/youtube-url');
+const { ERROR_CODES, sendError } = require('./api-errors');
+const { CATEGORIES, PROFILES, STRICTNESS } = require('./profiles');
+const { DOMAIN_CLASSIFICATIONS } = require('./model-output');
+const { log } = require('./metrics');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * A JSON request body.
+ * @param {string} schema Component schema name.
+ * @returns {object}
+ */
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema: ref(schema) } } };
+}
+
+/**
+ * A JSON response.
+ * @param {string} description Response description.
+ * @param {string} schema Component schema name.
+ * @returns {object}
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema: ref(schema) } } };
+}
+
+// Error responses shared by the API routes
+const ERROR_RESPONSES = {
+  400: jsonResponse('Invalid request (`invalid_request`, `invalid_json`).', 'Error'),
+  401: jsonResponse('Missing or invalid device token (`device_token_required`, `device_token_invalid`).', 'Error'),
+  429: jsonResponse('A daily limit was reached (`rate_limited`).', 'Error'),
+  500: jsonResponse('Unexpected server error (`internal_error`).', 'Error'),
+};
+
+/**
+ * Build the OpenAPI document.
+ * @param {object} options
+ * @param {number} options.maxBatchItems Maximum number of items per batch request.
+ * @param {string} [options.version] API version reported in the document.
+ * @returns {object} The OpenAPI 3.0 document.
+ */
+function buildOpenApiDocument({ maxBatchItems, version = '1.0.0' }) {
+  const nonEmptyString = { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be empty' };
+  // Surrounding whitespace is allowed: the server trims the domain before classifying it
+  const hostname = {
+    type: 'string',
+    maxLength: 253,
+    pattern: '^\\s*[a-z0-9_-]+(\\.[a-z0-9_-]+)*\\.?\\s*$',
+    'x-pattern-message': 'must be a hostname',
+  };
+
+  const operation = (summary, requestSchema, responseSchema, extra = {}) => ({
+    summary,
+    security: [{ deviceToken: [] }],
+    requestBody: jsonBody(requestSchema),
+    responses: { 200: jsonResponse('The result.', responseSchema), ...ERROR_RESPONSES },
+    ...extra,
+  });
+  const deprecated = successor => ({
+    deprecated: true,
+    description: `Deprecated: use ${successor}. Responses carry Deprecation and Link (rel="successor-version") headers.`,
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'BattleTask API',
+      version,
+      description: 'Classifies YouTube videos, web pages and domains as productive or unproductive. ' +
+        `Errors use the envelope {"success": false, "error": {"code", "message", "details"}}; codes: ${Object.keys(ERROR_CODES).join(', ')}.`,
+    },
+    paths: {
+      '/': {
+        get: {
+          summary: 'Health check',
+          responses: { 200: jsonResponse('The server is running.', 'Health') },
+        },
+      },
+      '/metrics': {
+        get: {
+          summary: 'Prometheus metrics',
+          security: [{ metricsToken: [] }],
+          responses: {
+            200: { description: 'Metrics in the Prometheus text format.', content: { 'text/plain': { schema: { type: 'string' } } } },
+            401: jsonResponse('Missing or wrong METRICS_TOKEN (`unauthorized`).', 'Error'),
+          },
+        },
+      },
+      '/feedback/report': {
+        get: {
+          summary: 'Disagreement report over override feedback',
+          security: [{ metricsToken: [] }],
+          parameters: [
+            { name: 'minRecords', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Leave out domains with fewer records.' },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500 }, description: 'Maximum number of domains.' },
+          ],
+          responses: {
+            200: jsonResponse('The report.', 'FeedbackReport'),
+            400: ERROR_RESPONSES[400],
+            401: jsonResponse('Missing or wrong METRICS_TOKEN (`unauthorized`).', 'Error'),
+          },
+        },
+      },
+      '/api/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'The OpenAPI document.', content: { 'application/json': { schema: { type: 'object' } } } } },
+        },
+      },
+      '/api/register-device': {
+        post: {
+          summary: 'Register a device and receive a signed device token',
+          responses: {
+            200: jsonResponse('The new device token.', 'DeviceRegistration'),
+            429: ERROR_RESPONSES[429],
+            500: ERROR_RESPONSES[500],
+          },
+        },
+      },
+      '/api/quota': {
+        get: {
+          summary: 'Remaining daily analyses for the calling device; does not use up quota',
+          security: [{ deviceToken: [] }],
+          responses: { 200: jsonResponse('The quota.', 'Quota'), 401: ERROR_RESPONSES[401], 500: ERROR_RESPONSES[500] },
+        },
+      },
+      '/api/domain-lists': {
+        get: {
+          summary: 'Always-productive and always-unproductive domain lists; supports If-None-Match',
+          security: [{ deviceToken: [] }],
+          responses: {
+            200: jsonResponse('The lists, with an ETag header.', 'DomainLists'),
+            304: { description: 'The lists match the If-None-Match ETag.' },
+            401: ERROR_RESPONSES[401],
+          },
+        },
+      },
+      '/api/feedback': {
+        post: {
+          summary: 'Report a manual override (opt-in); does not use up quota',
+          security: [{ deviceToken: [] }],
+          requestBody: jsonBody('FeedbackRequest'),
+          responses: { 200: jsonResponse('The feedback was stored.', 'Success'), ...ERROR_RESPONSES },
+        },
+      },
+      '/api/v2/analyze/video': {
+        post: operation('Analyze a YouTube video', 'YouTubeAnalysisRequest', 'ClassificationResponse'),
+      },
+      '/api/v2/analyze/page': {
+        post: operation('Analyze a web page from its title and extracted text', 'PageAnalysisRequest', 'ClassificationResponse'),
+      },
+      '/api/v2/analyze/domain': {
+        post: operation('Classify a whole domain', 'DomainRequest', 'ClassificationResponse'),
+      },
+      '/api/v2/analyze/batch': {
+        post: operation('Classify several videos, pages or domains; fresh classifications cost one quota unit each',
+          'BatchRequestV2', 'BatchResponseV2'),
+      },
+      '/api/analyze-youtube-content': {
+        post: operation('Analyze a YouTube video (v1)', 'YouTubeAnalysisRequest', 'AnalysisResult', deprecated('/api/v2/analyze/video')),
+      },
+      '/api/analyze-title': {
+        post: operation('Analyze a YouTube video (v1 alias)', 'YouTubeAnalysisRequest', 'AnalysisResult', deprecated('/api/v2/analyze/video')),
+      },
+      '/api/analyze-content': {
+        post: operation('Analyze a web page (v1)', 'PageAnalysisRequest', 'AnalysisResult', deprecated('/api/v2/analyze/page')),
+      },
+      '/api/classify-domain': {
+        post: operation('Classify a whole domain (v1)', 'DomainRequest', 'DomainClassification', deprecated('/api/v2/analyze/domain')),
+      },
+      '/api/classify-batch': {
+        post: operation('Classify several items, typed by inference (v1)', 'BatchRequest', 'BatchResponse', deprecated('/api/v2/analyze/batch')),
+      },
+    },
+    components: {
+      securitySchemes: {
+        deviceToken: { type: 'apiKey', in: 'header', name: 'X-Device-Token' },
+        metricsToken: { type: 'http', scheme: 'bearer' },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'error'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: ref('ErrorDetail'),
+          },
+        },
+        ErrorDetail: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } },
+            },
+          },
+        },
+        Success: {
+          type: 'object',
+          required: ['success'],
+          properties: { success: { type: 'boolean', enum: [true] } },
+        },
+        Profile: {
+          description: 'A built-in profile name or a custom profile. Defaults to "default".',
+          oneOf: [
+            { type: 'string', enum: Object.keys(PROFILES) },
+            {
+              type: 'object',
+              required: ['id', 'weights'],
+              additionalProperties: false,
+              properties: {
+                id: { type: 'string', enum: ['custom'] },
+                strictness: { type: 'string', enum: Object.keys(STRICTNESS) },
+                weights: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: Object.fromEntries(Object.keys(CATEGORIES).map(category => [category, { type: 'number', minimum: -1, maximum: 1 }])),
+                },
+              },
+            },
+          ],
+        },
+        YouTubeAnalysisRequest: {
+          type: 'object',
+          required: ['title', 'url'],
+          properties: {
+            title: nonEmptyString,
+            url: {
+              type: 'string',
+              format: 'youtube-url',
+              description: 'Any YouTube URL: watch, shorts, embed, live or youtu.be, on www., m. or music. hosts.',
+            },
+            channelName: { type: 'string' },
+            description: { type: 'string' },
+            profile: ref('Profile'),
+          },
+        },
+        PageAnalysisRequest: {
+          type: 'object',
+          required: ['title', 'url'],
+          properties: {
+            title: nonEmptyString,
+            url: { type: 'string', format: 'uri' },
+            content: { type: 'string', description: 'Visible text of the page; truncated server-side.' },
+            siteName: { type: 'string' },
+            domain: { type: 'string', description: 'Defaults to the hostname of `url`.' },
+            profile: ref('Profile'),
+          },
+        },
+        DomainRequest: {
+          type: 'object',
+          required: ['domain'],
+          properties: {
+            domain: hostname,
+            profile: ref('Profile'),
+          },
+        },
+        BatchItem: {
+          type: 'object',
+          description: 'A title and URL (video or page), or a domain.',
+          properties: {
+            title: { type: 'string' },
+            url: { type: 'string' },
+            domain: { type: 'string' },
+            channelName: { type: 'string' },
+            description: { type: 'string' },
+            content: { type: 'string' },
+            siteName: { type: 'string' },
+          },
+        },
+        BatchRequest: {
+          type: 'object',
+          required: ['items'],
+          properties: {
+            items: { type: 'array', minItems: 1, maxItems: maxBatchItems, items: ref('BatchItem') },
+            profile: ref('Profile'),
+          },
+        },
+        FeedbackRequest: {
+          type: 'object',
+          required: ['url', 'modelVerdict', 'userVerdict'],
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            title: { type: 'string' },
+            modelVerdict: {
+              type: 'object',
+              required: ['isProductive'],
+              properties: {
+                isProductive: { type: 'boolean' },
+                score: { type: 'number', minimum: 0, maximum: 100, nullable: true },
+              },
+            },
+            userVerdict: { type: 'boolean' },
+            promptVersion: { type: 'string', nullable: true },
+            profile: ref('Profile'),
+          },
+        },
+        AnalysisResult: {
+          type: 'object',
+          required: ['success', 'isProductive', 'score', 'categories', 'explanation'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            status: { type: 'string', enum: ['classified', 'unclassified', 'error'] },
+            verdict: {
+              type: 'string',
+              enum: ['productive', 'unproductive', 'uncertain'],
+              description: 'Three-way verdict from the calibrated confidence; uncertain when the classifier is not sure or could not answer.',
+            },
+            confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true, description: 'Calibrated probability that the verdict side is right; null without a score.' },
+            isProductive: { type: 'boolean', nullable: true, description: 'Null when unclassified.' },
+            score: { type: 'number', minimum: 0, maximum: 100, nullable: true, description: 'Null when unclassified.' },
+            categories: { type: 'array', items: { type: 'string' } },
+            explanation: { type: 'string' },
+            profile: { type: 'string', description: 'Key of the profile the analysis was made for.' },
+            promptVersion: { type: 'string', nullable: true },
+            injectionSuspected: { type: 'boolean' },
+            injectionPatterns: { type: 'array', items: { type: 'string' } },
+            degraded: { type: 'boolean', description: 'True when the classifier was unavailable and a local heuristic (or nothing) answered; clients should not act on the verdict.' },
+          },
+        },
+        DomainClassification: {
+          type: 'object',
+          required: ['success', 'status', 'classification', 'domain'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            status: { type: 'string', enum: ['classified', 'unclassified'] },
+            classification: { type: 'string', enum: DOMAIN_CLASSIFICATIONS, nullable: true },
+            domain: { type: 'string' },
+            profile: { type: 'string' },
+            promptVersion: { type: 'string', nullable: true },
+            degraded: { type: 'boolean', description: 'True when the classifier was unavailable and a local heuristic (or nothing) answered; clients should not act on the verdict.' },
+          },
+        },
+        BatchResponse: {
+          type: 'object',
+          required: ['success', 'charged', 'results'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            charged: { type: 'integer', minimum: 0 },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['index', 'success'],
+                description: 'On success, the fields of AnalysisResult or DomainClassification plus `type`; otherwise an error message.',
+                properties: {
+                  index: { type: 'integer', minimum: 0 },
+                  success: { type: 'boolean' },
+                  type: { type: 'string', enum: ['youtube', 'page', 'domain'] },
+                  error: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        Classification: {
+          type: 'object',
+          required: ['type', 'status', 'verdict', 'confidence', 'isProductive', 'score', 'categories', 'explanation', 'profile', 'promptVersion', 'degraded'],
+          properties: {
+            type: { type: 'string', enum: ['video', 'page', 'domain'] },
+            status: { type: 'string', enum: ['classified', 'unclassified', 'error'] },
+            verdict: {
+              type: 'string',
+              enum: ['productive', 'unproductive', 'uncertain'],
+              description: 'Three-way verdict from the calibrated confidence; uncertain when the classifier is not sure or could not answer.',
+            },
+            confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true, description: 'Calibrated probability that the verdict side is right; null without a score.' },
+            isProductive: { type: 'boolean', nullable: true, description: 'Null when unclassified.' },
+            score: { type: 'number', minimum: 0, maximum: 100, nullable: true, description: 'Null when unclassified and for mixed domains; otherwise 100 or 0 for domains.' },
+            categories: { type: 'array', items: { type: 'string' } },
+            explanation: { type: 'string' },
+            profile: { type: 'string', description: 'Key of the profile the classification was made for.' },
+            promptVersion: { type: 'string', nullable: true },
+            classification: { type: 'string', enum: DOMAIN_CLASSIFICATIONS, nullable: true, description: 'Domains only.' },
+            domain: { type: 'string', description: 'Domains only.' },
+            injectionSuspected: { type: 'boolean' },
+            injectionPatterns: { type: 'array', items: { type: 'string' } },
+            degraded: { type: 'boolean', description: 'True when the classifier was unavailable and a local heuristic (or nothing) answered; clients should not act on the verdict.' },
+          },
+        },
+        ClassificationResponse: {
+          type: 'object',
+          required: ['success', 'result'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            result: ref('Classification'),
+          },
+        },
+        BatchItemV2: {
+          type: 'object',
+          required: ['type'],
+          description: 'The fields of the matching single-item route plus its type.',
+          properties: {
+            type: { type: 'string', enum: ['video', 'page', 'domain'] },
+            title: { type: 'string' },
+            url: { type: 'string' },
+            domain: { type: 'string' },
+            channelName: { type: 'string' },
+            description: { type: 'string' },
+            content: { type: 'string' },
+            siteName: { type: 'string' },
+          },
+        },
+        BatchRequestV2: {
+          type: 'object',
+          required: ['items'],
+          properties: {
+            items: { type: 'array', minItems: 1, maxItems: maxBatchItems, items: ref('BatchItemV2') },
+            profile: ref('Profile'),
+          },
+        },
+        BatchResponseV2: {
+          type: 'object',
+          required: ['success', 'charged', 'results'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            charged: { type: 'integer', minimum: 0 },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['index', 'success'],
+                description: 'Either `result` or `error` (code `invalid_request`, `rate_limited` or `internal_error`).',
+                properties: {
+                  index: { type: 'integer', minimum: 0 },
+                  success: { type: 'boolean' },
+                  result: ref('Classification'),
+                  error: ref('ErrorDetail'),
+                },
+              },
+            },
+          },
+        },
+        DeviceRegistration: {
+          type: 'object',
+          required: ['success', 'deviceId', 'token', 'expiresAt'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            deviceId: { type: 'string' },
+            token: { type: 'string', description: 'Send as X-Device-Token.' },
+            expiresAt: { type: 'string', description: 'ISO 8601 timestamp.' },
+          },
+        },
+        QuotaLimit: {
+          type: 'object',
+          required: ['limit', 'used', 'remaining', 'resetTime'],
+          properties: {
+            limiter: { type: 'string', enum: ['device', 'ip'] },
+            limit: { type: 'integer' },
+            used: { type: 'integer' },
+            remaining: { type: 'integer' },
+            resetTime: { type: 'string', nullable: true, description: 'Null while the daily window has not started.' },
+          },
+        },
+        Quota: {
+          type: 'object',
+          required: ['success', 'limit', 'used', 'remaining', 'resetTime', 'limits'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            limit: { type: 'integer' },
+            used: { type: 'integer' },
+            remaining: { type: 'integer' },
+            resetTime: { type: 'string', nullable: true },
+            limits: { type: 'array', items: ref('QuotaLimit') },
+          },
+        },
+        DomainLists: {
+          type: 'object',
+          required: ['success', 'version', 'productive', 'unproductive'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            version: { type: 'integer' },
+            updatedAt: { type: 'string', nullable: true },
+            productive: { type: 'array', items: { type: 'string' } },
+            unproductive: { type: 'array', items: { type: 'string' } },
+            domainPromptVersions: {
+              type: 'array',
+              items: { type: 'string' },
+              nullable: true,
+              description: 'Prompt versions currently classifying whole domains; cached domain classifications from other versions are stale. Null when the classifier uses no prompts.',
+            },
+          },
+        },
+        FeedbackGroup: {
+          type: 'object',
+          required: ['total', 'disagreements', 'disagreementRate'],
+          properties: {
+            domain: { type: 'string' },
+            promptVersion: { type: 'string' },
+            total: { type: 'integer' },
+            disagreements: { type: 'integer' },
+            falsePositives: { type: 'integer', description: 'Classified productive, marked non-productive.' },
+            falseNegatives: { type: 'integer', description: 'Classified non-productive, marked productive.' },
+            disagreementRate: { type: 'number' },
+          },
+        },
+        FeedbackReport: {
+          type: 'object',
+          required: ['success', 'total', 'disagreements', 'byDomain', 'byPromptVersion'],
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            total: { type: 'integer' },
+            disagreements: { type: 'integer' },
+            disagreementRate: { type: 'number' },
+            byDomain: { type: 'array', items: ref('FeedbackGroup') },
+            byPromptVersion: { type: 'array', items: ref('FeedbackGroup') },
+          },
+        },
+        Health: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            apiKeyConfigured: { type: 'boolean' },
+            provider: { type: 'string' },
+            prompts: { type: 'object', nullable: true },
+            circuit: {
+              type: 'object',
+              nullable: true,
+              description: 'Circuit breaker around the provider; null when the provider needs none.',
+              properties: {
+                state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+                failureRate: { type: 'number', minimum: 0, maximum: 1 },
+                calls: { type: 'integer', minimum: 0 },
+                retryAt: { type: 'string', nullable: true },
+              },
+            },
+            cacheSize: { type: 'integer' },
+            timestamp: { type: 'string' },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Whether a value has a JSON Schema type.
+ * @param {*} value The value.
+ * @param {string} type 'string', 'number', 'integer', 'boolean', 'object' or 'array'.
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema from the document.
+ * @param {object} document The OpenAPI document, for resolving $ref.
+ * @param {object} schema The schema.
+ * @param {*} value The value to check.
+ * @param {string} [path] Location of the value, used in error messages.
+ * @returns {object[]} Problems found, as {path, message}; empty when valid.
+ */
+function validateSchema(document, schema, value, path = '') {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return validateSchema(document, document.components.schemas[name], value, path);
+  }
+
+  const at = path || 'value';
+  if (value === null) {
+    return schema.nullable || schema.type === undefined ? [] : [{ path: at, message: 'must not be null' }];
+  }
+
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map(option => validateSchema(document, option, value, path));
+    if (attempts.some(errors => errors.length === 0)) return [];
+    // Report against the option of the same type, which is the one the client most likely meant
+    const sameType = schema.oneOf.findIndex(option => option.type && hasType(value, option.type));
+    if (sameType !== -1) return attempts[sameType];
+    const types = schema.oneOf.map(option => option.type).filter(Boolean);
+    return [{ path: at, message: `must be of type ${types.join(' or ')}` }];
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [{ path: at, message: `must be of type ${schema.type}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.format === 'uri' && !validator.isURL(value, { require_protocol: true, protocols: ['http', 'https'] })) {
+      errors.push({ path: at, message: 'must be an http(s) URL' });
+    } else if (schema.format === 'youtube-url' && !isYouTubeUrl(value)) {
+      errors.push({ path: at, message: 'must be a YouTube URL' });
+    } else if (schema.pattern && !new RegExp(schema.pattern, 'i').test(value)) {
+      errors.push({ path: at, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items && errors.length === 0) {
+      value.forEach((item, index) => errors.push(...validateSchema(document, schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        if (propertyValue !== undefined) errors.push(...validateSchema(document, properties[name], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not allowed' });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation problems as one message.
+ * @param {object[]} errors Problems from validateSchema.
+ * @returns {string}
+ */
+function describeErrors(errors) {
+  return `Invalid request: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}.`;
+}
+
+/**
+ * Create the validation middleware for a document.
+ * @param {object} document The OpenAPI document.
+ * @returns {object} {validateRequests, validateResponses}
+ */
+function createOpenApiValidator(document) {
+  function findOperation(req) {
+    const pathItem = document.paths[req.path];
+    return pathItem ? pathItem[req.method.toLowerCase()] || null : null;
+  }
+
+  /**
+   * Middleware rejecting requests whose body or query parameters do not match
+   * the operation. Requests to undocumented routes pass through.
+   * @returns {Function}
+   */
+  function validateRequests() {
+    return (req, res, next) => {
+      const operation = findOperation(req);
+      if (!operation) return next();
+
+      const errors = [];
+      for (const parameter of operation.parameters || []) {
+        if (parameter.in !== 'query' || req.query[parameter.name] === undefined) continue;
+        const raw = req.query[parameter.name];
+        const numeric = ['integer', 'number'].includes(parameter.schema.type);
+        const value = numeric && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        errors.push(...validateSchema(document, parameter.schema, value, parameter.name));
+      }
+
+      const body = operation.requestBody;
+      if (body) {
+        const schema = body.content['application/json'].schema;
+        if (!req.is('application/json') || req.body === undefined) {
+          errors.push({ path: 'body', message: 'must be a JSON object' });
+        } else {
+          errors.push(...validateSchema(document, schema, req.body));
+        }
+      }
+
+      if (errors.length) {
+        return sendError(res, 'invalid_request', describeErrors(errors), errors);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware checking JSON responses against the documented schema for
+   * their status. Mismatches are logged, not sent to the client.
+   * @returns {Function}
+   */
+  function validateResponses() {
+    return (req, res, next) => {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const operation = findOperation(req);
+        if (operation) {
+          const response = operation.responses[res.statusCode];
+          const schema = response && response.content && response.content['application/json']
+            ? response.content['application/json'].schema
+            : null;
+          const errors = !response
+            ? [{ path: 'status', message: `${res.statusCode} is not documented` }]
+            : (schema ? validateSchema(document, schema, body) : []);
+          if (errors.length) {
+            log('warn', 'response_contract_violation', {
+              route: req.path,
+              method: req.method,
+              status: res.statusCode,
+              errors: errors.slice(0, 10),
+            });
+          }
+        }
+        return json(body);
+      };
+      next();
+    };
+  }
+
+  return { validateRequests, validateResponses };
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  createOpenApiValidator,
+  validateSchema,
+};
@@ -0,0 +1,185 @@
+/**
+ * Classification strictness profiles.
+ *
+ * What counts as productive depends on the user: music is a distraction for
+ * most developers but coursework for a music student. A profile assigns each
+ * content category a weight from -1 (unproductive) to 1 (productive), with 0
+ * meaning "judge the content on its own merits", plus a strictness level for
+ * borderline content. The extension sends a named profile or custom weights
+ * with each request; prompts and the heuristic provider adapt to it.
+ *
+ * Profiles are rendered into the trusted prompt instructions, so custom
+ * profiles are reduced to known category IDs, numbers and strictness levels
+ * and never carry client-supplied text.
+ */
+
+const crypto = require('crypto');
+
+const CATEGORIES = {
+  education: { label: 'Education', description: 'lectures, tutorials, courses, academic lessons, how-to guides' },
+  programming: { label: 'Programming', description: 'software development, documentation, technical talks' },
+  research: { label: 'Research', description: 'papers, scientific discussion, data and analysis' },
+  news: { label: 'News', description: 'news reporting and current-affairs analysis' },
+  music: { label: 'Music', description: 'songs, music videos, performances, music theory and practice' },
+  sports: { label: 'Sports', description: 'matches, highlights, sports analysis and commentary' },
+  gaming: { label: 'Gaming', description: "gameplay, let's plays, streams, game news" },
+  art_design: { label: 'Art & design', description: 'drawing, design, photography, film-making, creative process' },
+  entertainment: { label: 'Entertainment', description: 'comedy, vlogs, reactions, pranks, challenges, celebrity content' },
+  social: { label: 'Social', description: 'social media feeds, memes, casual browsing' },
+  shopping: { label: 'Shopping', description: 'online stores, product hauls, unboxings, deals' },
+};
+
+const STRICTNESS = {
+  strict: 'Be strict: only clearly productive content is productive. When unsure, classify as unproductive.',
+  balanced: 'Judge mixed or borderline content on its merits.',
+  lenient: 'Give borderline content the benefit of the doubt when it plausibly serves the user\'s work or learning.',
+};
+
+// Built-in profiles. "default" keeps BattleTask's original policy.
+const PROFILES = {
+  default: {
+    label: 'Default',
+    strictness: 'strict',
+    weights: {
+      education: 1, programming: 1, research: 1,
+      music: -1, sports: -1, gaming: -1, entertainment: -1, social: -1, shopping: -1,
+    },
+  },
+  student: {
+    label: 'Student',
+    strictness: 'strict',
+    weights: {
+      education: 1, programming: 1, research: 1, news: 0.5,
+      music: -0.5, sports: -1, gaming: -1, entertainment: -1, social: -1, shopping: -1,
+    },
+  },
+  developer: {
+    label: 'Developer',
+    strictness: 'balanced',
+    weights: {
+      programming: 1, education: 0.5, research: 0.5,
+      music: -1, sports: -1, gaming: -1, entertainment: -1, social: -1, shopping: -1,
+    },
+  },
+  creative: {
+    label: 'Creative',
+    strictness: 'lenient',
+    weights: {
+      art_design: 1, music: 1, education: 0.5, programming: 0.5,
+      gaming: -0.5, social: -0.5, sports: -1, shopping: -1,
+    },
+  },
+  researcher: {
+    label: 'Researcher',
+    strictness: 'balanced',
+    weights: {
+      research: 1, education: 1, news: 1, programming: 0.5,
+      music: -1, gaming: -1, entertainment: -1, social: -1, shopping: -1,
+    },
+  },
+};
+
+const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Build a resolved profile from a built-in definition.
+ * @param {string} id Profile ID.
+ * @returns {object} {id, key, label, strictness, weights}
+ */
+function namedProfile(id) {
+  const { label, strictness, weights } = PROFILES[id];
+  return { id, key: id, label, strictness, weights: { ...weights } };
+}
+
+/**
+ * Resolve the profile sent by a client.
+ * Accepts nothing (default profile), a profile name, or a custom profile
+ * object {id: 'custom', weights: {category: -1..1}, strictness}.
+ * @param {*} value The `profile` field of a request body.
+ * @returns {{profile?: object, error?: string}} The resolved profile
+ *   {id, key, label, strictness, weights}; `key` identifies it in cache keys.
+ */
+function resolveProfile(value) {
+  if (value === undefined || value === null || value === '') {
+    return { profile: namedProfile(DEFAULT_PROFILE_ID) };
+  }
+
+  if (typeof value === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(PROFILES, value)) {
+      return { error: `Unknown profile "${value}". Use one of: ${Object.keys(PROFILES).join(', ')}, or a custom profile.` };
+    }
+    return { profile: namedProfile(value) };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value) || value.id !== 'custom') {
+    return { error: 'Profile must be a profile name or {id: "custom", weights, strictness}.' };
+  }
+
+  const strictness = value.strictness === undefined ? 'balanced' : value.strictness;
+  if (!Object.prototype.hasOwnProperty.call(STRICTNESS, strictness)) {
+    return { error: `Strictness must be one of: ${Object.keys(STRICTNESS).join(', ')}.` };
+  }
+
+  if (!value.weights || typeof value.weights !== 'object' || Array.isArray(value.weights)) {
+    return { error: 'A custom profile needs a weights object.' };
+  }
+
+  const weights = {};
+  for (const [category, weight] of Object.entries(value.weights)) {
+    if (!Object.prototype.hasOwnProperty.call(CATEGORIES, category)) {
+      return { error: `Unknown category "${category}". Use: ${Object.keys(CATEGORIES).join(', ')}.` };
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+      return { error: `Weight for "${category}" must be a number between -1 and 1.` };
+    }
+    const clamped = Math.round(Math.min(1, Math.max(-1, weight)) * 100) / 100;
+    if (clamped !== 0) weights[category] = clamped;
+  }
+
+  // Identical custom profiles share cache entries
+  const canonical = `${strictness}|${Object.keys(weights).sort().map(category => `${category}=${weights[category]}`).join(',')}`;
+  const key = `custom-${crypto.createHash('sha256').update(canonical).digest('hex').substring(0, 12)}`;
+  return { profile: { id: 'custom', key, label: 'Custom', strictness, weights } };
+}
+
+/**
+ * Describe a profile as prompt instructions.
+ * @param {object} profile A resolved profile.
+ * @returns {string} The profile section of a prompt.
+ */
+function describeProfile(profile) {
+  const groups = [
+    { heading: 'Count as productive', match: weight => weight >= 0.75 },
+    { heading: 'Count as somewhat productive (score 50-75)', match: weight => weight > 0 && weight < 0.75 },
+    { heading: 'Lean unproductive unless clearly educational (score 25-50)', match: weight => weight < 0 && weight > -0.75 },
+    { heading: 'Count as unproductive', match: weight => weight <= -0.75 },
+  ];
+
+  const lines = groups
+    .map(({ heading, match }) => {
+      const categories = Object.keys(CATEGORIES).filter(category => match(profile.weights[category] || 0));
+      if (!categories.length) return null;
+      return `        - ${heading}: ${categories.map(category => `${CATEGORIES[category].label} (${CATEGORIES[category].description})`).join('; ')}.`;
+    })
+    .filter(Boolean);
+
+  const neutral = Object.keys(CATEGORIES).filter(category => !profile.weights[category]);
+  if (neutral.length) {
+    lines.push(`        - Judge on the specific content: ${neutral.map(category => CATEGORIES[category].label).join(', ')}.`);
+  }
+
+  return `
+        USER PROFILE (${profile.label}):
+${lines.join('\n')}
+        - ${STRICTNESS[profile.strictness]}
+`;
+}
+
+module.exports = {
+  CATEGORIES,
+  PROFILES,
+  STRICTNESS,
+  DEFAULT_PROFILE_ID,
+  resolveProfile,
+  describeProfile,
+};
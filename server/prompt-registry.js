@@ -0,0 +1,215 @@
+/**
+ * Versioned prompt templates.
+ *
+ * Every prompt the model-backed providers send is a named, immutable version
+ * in this registry. To change a prompt, add a new version and make it the
+ * candidate for its task with a traffic split: that share of traffic is then
+ * routed to it while the rest stays on the active version
+ * (PROMPT_CANDIDATE_PERCENT overrides the split of every task). Every API response reports
+ * the version that produced it, so the two can be compared before the
+ * candidate is promoted to active.
+ *
+ * Templates use {{name}} placeholders, filled in by renderTemplate(). Only
+ * trusted text (shared rules, profile descriptions) is ever substituted;
+ * untrusted page data travels separately (see prompts.js).
+ */
+
+const crypto = require('crypto');
+
+const TEMPLATES = {
+  'youtube-v1': `
+        Analyze a YouTube video based on its title, channel, and description
+        (first 200 chars), provided as "title", "channel" and "description".
+{{isolationRules}}
+        Classify as "productive" or "unproductive" for the user described below.
+        Provide a concise explanation.
+        Assign a score (0-100).
+        List relevant categories (1-3 words each).
+
+        RETURN JSON ONLY:
+        {
+          "isProductive": boolean,
+          "score": number,
+          "categories": ["string"],
+          "explanation": "string"
+        }
+{{profile}}
+        "productive" scores 75-100, "unproductive" scores 0-40.
+      `,
+
+  'content-v1': `
+        Analyze a web page based on its domain, site name, title and an excerpt of its
+        visible text, provided as "domain", "site", "title" and "content".
+{{isolationRules}}
+        Decide whether the page the user is currently viewing is "productive" or "unproductive"
+        for the user described below.
+        Judge the specific page, not the website as a whole: a programming discussion on a
+        social site can be productive, while a celebrity gossip article on a news site is not.
+        Provide a concise explanation.
+        Assign a score (0-100).
+        List relevant categories (1-3 words each).
+
+        RETURN JSON ONLY:
+        {
+          "isProductive": boolean,
+          "score": number,
+          "categories": ["string"],
+          "explanation": "string"
+        }
+{{profile}}
+        Work tools and professional communication are always productive.
+        "productive" scores 75-100, "unproductive" scores 0-40.
+        Use scores in between only when the page is genuinely mixed.
+      `,
+
+  'domain-v1': `
+      Analyze the domain provided as "domain".
+{{isolationRules}}
+      Classify STRICTLY as "always_productive" or "always_unproductive".
+      Prioritize DOMINANT purpose.
+
+      RETURN JSON ONLY:
+      {
+        "classification": "chosen_classification_value"
+      }
+
+      RULES:
+      "always_productive": Work/Business (e.g., github.com), Essential Info (e.g., gov sites), and
+      sites whose dominant category is productive for the user described below.
+      "always_unproductive": sites whose dominant category is unproductive for the user.
+{{profile}}
+      EXAMPLES:
+      Domain: "github.com" -> {"classification": "always_productive"}
+      Domain: "tiktok.com" -> {"classification": "always_unproductive"}
+    `,
+
+  'domain-v2': `
+      Analyze the domain provided as "domain".
+{{isolationRules}}
+      Classify STRICTLY as "always_productive", "always_unproductive" or "mixed".
+      Prioritize DOMINANT purpose; use "mixed" only when there is none.
+
+      RETURN JSON ONLY:
+      {
+        "classification": "chosen_classification_value"
+      }
+
+      RULES:
+      "always_productive": Work/Business (e.g., github.com), Essential Info (e.g., gov sites), and
+      sites whose dominant category is productive for the user described below.
+      "always_unproductive": sites whose dominant category is unproductive for the user.
+      "mixed": sites whose pages range from productive to unproductive, such as video
+      platforms, social networks, forums, news sites and blogs. Their pages are judged one by one.
+{{profile}}
+      EXAMPLES:
+      Domain: "github.com" -> {"classification": "always_productive"}
+      Domain: "tiktok.com" -> {"classification": "always_unproductive"}
+      Domain: "youtube.com" -> {"classification": "mixed"}
+    `,
+};
+
+// Which version each task serves. `candidate` (or null) receives `candidatePercent`
+// of the traffic (0-100) as an A/B share.
+const TASKS = {
+  video: { active: 'youtube-v1', candidate: null, candidatePercent: 0 },
+  page: { active: 'content-v1', candidate: null, candidatePercent: 0 },
+  // The two-stage pipeline needs the "mixed" class, so only mixed-aware versions (domain-v2
+  // and later) may serve this task; domain-v1 is kept for the record
+  domain: { active: 'domain-v2', candidate: null, candidatePercent: 0 },
+};
+
+/**
+ * Fill a template's {{name}} placeholders.
+ * @param {string} version Template version, e.g. 'youtube-v1'.
+ * @param {object} variables Values for the placeholders.
+ * @returns {string} The rendered prompt.
+ * @throws {Error} If the version is unknown or a placeholder has no value.
+ */
+function renderTemplate(version, variables) {
+  const template = TEMPLATES[version];
+  if (template === undefined) {
+    throw new Error(`Unknown prompt version "${version}"`);
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined) {
+      throw new Error(`Prompt ${version} needs a value for {{${name}}}`);
+    }
+    return variables[name];
+  });
+}
+
+/**
+ * Create the version selector used by the routes.
+ * @param {object} [options]
+ * @param {number|string} [options.candidatePercent] Share of traffic (0-100) routed to candidate
+ *   versions, for every task; when unset each task's own candidatePercent applies.
+ * @param {object} [options.tasks] Task configuration; defaults to TASKS.
+ * @returns {object} {select, versions, describe}
+ */
+function createPromptSelector({ candidatePercent, tasks = TASKS } = {}) {
+  const clamp = value => Math.min(100, Math.max(0, Number(value) || 0));
+  const override = candidatePercent === undefined || candidatePercent === '' ? null : clamp(candidatePercent);
+  const percentFor = task => (override !== null ? override : clamp(tasks[task].candidatePercent));
+
+  for (const [task, { active, candidate }] of Object.entries(tasks)) {
+    for (const version of [active, candidate].filter(Boolean)) {
+      if (TEMPLATES[version] === undefined) {
+        throw new Error(`Prompt task "${task}" refers to unknown version "${version}"`);
+      }
+      if (task === 'domain' && !TEMPLATES[version].includes('"mixed"')) {
+        throw new Error(`Prompt ${version} cannot serve the domain task: it does not know the "mixed" class`);
+      }
+    }
+  }
+
+  /**
+   * Pick the prompt version for a request.
+   * The choice is a stable hash of the bucket key, so a given video or page
+   * always gets the same version and its cached result stays consistent.
+   * @param {string} task 'video', 'page' or 'domain'.
+   * @param {string|null} bucketKey Stable key for the item (e.g. its cache key); random when null.
+   * @returns {string} The prompt version.
+   */
+  function select(task, bucketKey) {
+    const { active, candidate } = tasks[task];
+    const percent = percentFor(task);
+    if (!candidate || percent === 0) return active;
+
+    const bucket = bucketKey
+      ? crypto.createHash('sha256').update(bucketKey).digest().readUInt32BE(0) % 100
+      : Math.floor(Math.random() * 100);
+    return bucket < percent ? candidate : active;
+  }
+
+  /**
+   * The versions a task is currently served with: its active version, and its
+   * candidate while the candidate gets a share of the traffic.
+   * @param {string} task 'video', 'page' or 'domain'.
+   * @returns {string[]}
+   */
+  function versions(task) {
+    const { active, candidate } = tasks[task];
+    return candidate && percentFor(task) > 0 ? [active, candidate] : [active];
+  }
+
+  /**
+   * Describe the current routing, for the health check.
+   * @returns {object}
+   */
+  function describe() {
+    const summary = { candidatePercentOverride: override };
+    for (const [task, { active, candidate }] of Object.entries(tasks)) {
+      summary[task] = { active, candidate, candidatePercent: candidate ? percentFor(task) : 0 };
+    }
+    return summary;
+  }
+
+  return { select, versions, describe };
+}
+
+module.exports = {
+  TEMPLATES,
+  TASKS,
+  renderTemplate,
+  createPromptSelector,
+};
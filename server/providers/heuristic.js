@@ -0,0 +1,163 @@
+/**
+ * Heuristic classifier provider.
+ *
+ * Deterministic keyword and rule based classification. It needs no API key or
+ * network access, so it is the default for local development and tests.
+ */
+
+const { resolveProfile, DEFAULT_PROFILE_ID, CATEGORIES } = require('../profiles');
+
+const DEFAULT_PROFILE = resolveProfile(DEFAULT_PROFILE_ID).profile;
+
+// Keywords per content category (see ../profiles.js); the user's profile
+// decides whether a category's hits count for or against productivity
+const CATEGORY_KEYWORDS = {
+  education: [
+    'lecture', 'tutorial', 'course', 'lesson', 'class', 'how to', 'how-to', 'guide',
+    'explained', 'explainer', 'introduction to', 'intro to', 'learn', 'documentary',
+    'math', 'calculus', 'algebra', 'physics', 'chemistry', 'biology', 'science',
+    'history', 'economics', 'philosophy', 'grammar', 'language', 'study', 'exam', 'workshop',
+  ],
+  programming: [
+    'programming', 'coding', 'javascript', 'python', 'java', 'rust', 'algorithm',
+    'data structure', 'machine learning', 'documentation', 'docs', 'api reference',
+    'interview prep', 'conference talk',
+  ],
+  research: ['research', 'paper', 'journal', 'dataset', 'preprint'],
+  news: ['news', 'breaking', 'analysis', 'press conference', 'interview'],
+  music: ['music video', 'official video', 'official audio', 'lyrics', 'song', 'remix', 'cover', 'concert'],
+  sports: ['highlights', 'match', 'nba', 'nfl', 'fifa', 'premier league', 'transfer news'],
+  gaming: ['gameplay', "let's play", 'lets play', 'speedrun', 'minecraft', 'fortnite', 'roblox', 'gta', 'stream'],
+  art_design: ['drawing', 'painting', 'sketch', 'illustration', 'photography', 'filmmaking', 'design process'],
+  entertainment: [
+    'funny', 'prank', 'reaction', 'reacts', 'compilation', 'vlog', 'challenge', 'trailer',
+    'teaser', 'asmr', 'gossip', 'celebrity', 'drama', 'snl', 'mrbeast', 'try not to laugh',
+  ],
+  social: ['meme', 'tiktok', 'shorts'],
+  shopping: ['unboxing', 'haul'],
+};
+
+// Hostname fragments that mark an educational or work domain
+const PRODUCTIVE_DOMAIN_HINTS = [
+  'edu', 'learn', 'academy', 'course', 'docs', 'developer', 'dev.', 'wiki',
+  'scholar', 'research', 'university', 'school', 'stackoverflow', 'stackexchange',
+  'github', 'gitlab', 'arxiv', 'khanacademy', 'coursera', 'udemy', 'edx',
+];
+
+// Sites whose pages range from productive to unproductive (video, social, news,
+// blogs); checked before the other hints
+const MIXED_DOMAINS = [
+  'youtube.com', 'youtu.be', 'reddit.com', 'twitter.com', 'x.com', 'facebook.com',
+  'linkedin.com', 'medium.com', 'substack.com', 'quora.com', 'vimeo.com',
+];
+const MIXED_DOMAIN_HINTS = ['news', 'blog'];
+
+// Hostname fragments that mark an entertainment, social or shopping domain
+const UNPRODUCTIVE_DOMAIN_HINTS = [
+  'game', 'games', 'play', 'tv', 'movie', 'video', 'music', 'shop', 'store', 'bet',
+  'casino', 'sport', 'meme', 'fun', 'tiktok', 'instagram', 'facebook', 'twitter',
+  'netflix', 'twitch', 'reddit', 'amazon', 'ebay',
+];
+
+/**
+ * Return the keywords from a list that appear in the text.
+ * @param {string} text Lower-cased text to search.
+ * @param {string[]} keywords Keywords to look for.
+ * @returns {string[]} The matched keywords.
+ */
+function findKeywords(text, keywords) {
+  return keywords.filter(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+  });
+}
+
+/**
+ * Score free text by weighting keyword hits with the user's profile.
+ * Each hit in a category the profile counts as productive adds up to 20
+ * points, each hit in an unproductive category removes up to 25. Text with no
+ * signal scores below the productivity threshold, matching the "only clearly
+ * productive content is green" policy of the model prompts.
+ * @param {string} text The text to score.
+ * @param {object} [profile] Resolved user profile.
+ * @returns {object} An analysis object.
+ */
+function scoreText(text, profile = DEFAULT_PROFILE) {
+  const haystack = (text || '').toLowerCase();
+  const productiveHits = [];
+  const unproductiveHits = [];
+  const matchedCategories = [];
+  let score = 40;
+
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    const weight = profile.weights[category] || 0;
+    const hits = findKeywords(haystack, keywords);
+    if (!hits.length || weight === 0) continue;
+
+    matchedCategories.push(category);
+    if (weight > 0) {
+      productiveHits.push(...hits);
+      score += hits.length * 20 * weight;
+    } else {
+      unproductiveHits.push(...hits);
+      score += hits.length * 25 * weight;
+    }
+  }
+
+  score = Math.round(Math.min(100, Math.max(0, score)));
+  const isProductive = score >= 50;
+
+  let explanation;
+  if (productiveHits.length === 0 && unproductiveHits.length === 0) {
+    explanation = 'No clear educational or work signals found.';
+  } else {
+    const parts = [];
+    if (productiveHits.length) parts.push(`productive keywords: ${productiveHits.join(', ')}`);
+    if (unproductiveHits.length) parts.push(`unproductive keywords: ${unproductiveHits.join(', ')}`);
+    explanation = `Matched ${parts.join('; ')}.`;
+  }
+
+  return {
+    isProductive,
+    score,
+    categories: matchedCategories.length
+      ? matchedCategories.map(category => CATEGORIES[category].label)
+      : [isProductive ? 'Educational' : 'Entertainment'],
+    explanation,
+  };
+}
+
+/**
+ * Create the rule-based provider.
+ * @returns {object} A classifier provider.
+ */
+function createHeuristicProvider() {
+  return {
+    name: 'heuristic',
+
+    async analyzeVideo({ title, channelName, description }, { profile } = {}) {
+      return scoreText(`${title} ${channelName || ''} ${(description || '').substring(0, 200)}`, profile);
+    },
+
+    async analyzePage({ title, content, siteName }, { profile } = {}) {
+      return scoreText(`${title} ${siteName || ''} ${content || ''}`, profile);
+    },
+
+    // Domain hints are coarse, so they ignore the profile
+    async classifyDomain(domain) {
+      const hostname = (domain || '').toLowerCase();
+      if (/\.(edu|gov)(\.[a-z]{2})?$/.test(hostname)) {
+        return { classification: 'always_productive' };
+      }
+      if (MIXED_DOMAINS.some(site => hostname === site || hostname.endsWith(`.${site}`)) ||
+          MIXED_DOMAIN_HINTS.some(hint => hostname.includes(hint))) {
+        return { classification: 'mixed' };
+      }
+      const productive = PRODUCTIVE_DOMAIN_HINTS.some(hint => hostname.includes(hint));
+      const unproductive = UNPRODUCTIVE_DOMAIN_HINTS.some(hint => hostname.includes(hint));
+      return { classification: productive && !unproductive ? 'always_productive' : 'always_unproductive' };
+    },
+  };
+}
+
+module.exports = { createHeuristicProvider };
@@ -0,0 +1,57 @@
+/**
+ * Classifier provider selection.
+ *
+ * Every provider exposes the same interface:
+ *   name                              - identifier reported by the health check
+ *   usesPrompts                       - true if the provider renders prompts from the registry
+ *   analyzeVideo(input, context)      - {title, channelName, description} -> analysis object or null
+ *   analyzePage(input, context)       - {title, content, siteName, domain} -> analysis object or null
+ *   classifyDomain(domain, context)   - hostname -> {classification} or null
+ *
+ * `context` is {profile, promptVersion}: the user's resolved strictness profile
+ * (see ../profiles.js) and the prompt version to render (see
+ * ../prompt-registry.js). Providers should adapt to the profile where they
+ * can; the mock provider ignores both.
+ *
+ * A null result means the provider answered but no valid answer could be
+ * obtained; callers report it as "unclassified". Transport failures are thrown.
+ *
+ * The provider is chosen with the CLASSIFIER_PROVIDER environment variable:
+ *   gemini    - Google Gemini (requires GEMINI_API_KEY)
+ *   heuristic - deterministic keyword rules, works offline
+ *   mock      - answers from a fixture file (MOCK_FIXTURES_PATH)
+ * When unset, Gemini is used if an API key is configured and the heuristic
+ * provider otherwise.
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createHeuristicProvider } = require('./heuristic');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = ['gemini', 'heuristic', 'mock'];
+
+/**
+ * Create the provider selected by the environment.
+ * @param {object} [env] Environment variables (defaults to process.env).
+ * @returns {object} A classifier provider.
+ */
+function createProvider(env = process.env) {
+  const name = (env.CLASSIFIER_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'heuristic')).toLowerCase();
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        modelName: env.GEMINI_MODEL || undefined,
+        maxRetries: parseInt(env.MODEL_OUTPUT_MAX_RETRIES, 10),
+      });
+    case 'heuristic':
+      return createHeuristicProvider();
+    case 'mock':
+      return createMockProvider({ fixturesPath: env.MOCK_FIXTURES_PATH || undefined });
+    default:
+      throw new Error(`Unknown CLASSIFIER_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+module.exports = { createProvider, PROVIDERS };
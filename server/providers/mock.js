@@ -0,0 +1,58 @@
+/**
+ * Fixture-driven mock provider.
+ *
+ * Answers from a JSON fixture file keyed by lower-cased title or domain, so
+ * route behaviour can be reproduced exactly without a model.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const validator = require('validator');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '..', 'fixtures', 'mock-classifications.json');
+
+/**
+ * Normalize a title or domain into a fixture lookup key.
+ * Route handlers HTML-escape user input, so undo that before matching.
+ * @param {string} value The raw value.
+ * @returns {string} The lookup key.
+ */
+function fixtureKey(value) {
+  return validator.unescape(value || '').trim().toLowerCase();
+}
+
+/**
+ * Create a provider that answers from fixtures.
+ * @param {object} [options]
+ * @param {string} [options.fixturesPath] Path to the fixture JSON file.
+ * @returns {object} A classifier provider.
+ */
+function createMockProvider({ fixturesPath = DEFAULT_FIXTURES_PATH } = {}) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  const videos = fixtures.videos || {};
+  const pages = fixtures.pages || {};
+  const domains = fixtures.domains || {};
+  const defaults = fixtures.defaults || {};
+
+  // Return copies so callers can normalize results without mutating fixtures
+  const copy = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'mock',
+
+    async analyzeVideo({ title }) {
+      return copy(videos[fixtureKey(title)] || defaults.video);
+    },
+
+    async analyzePage({ title }) {
+      return copy(pages[fixtureKey(title)] || defaults.page);
+    },
+
+    async classifyDomain(domain) {
+      const classification = domains[fixtureKey(domain)] || defaults.domain;
+      return classification ? { classification } : null;
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,96 @@
+/**
+ * YouTube URL parsing shared by the backend and the extension.
+ *
+ * A video can be opened from many URL forms: /watch?v=, /shorts/, /embed/,
+ * /live/, youtu.be links, and the m. and music. hosts, usually with extra
+ * timestamp or playlist parameters. Both sides reduce them to the 11-character
+ * video ID so a video is analyzed and cached once however it was opened.
+ *
+ * Loaded with require() by the backend and as a classic script (importScripts
+ * or a content script) by the extension, where it defines `YouTubeUrl`.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.YouTubeUrl = api;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Hosts that serve videos under /watch, /shorts/, /embed/ or /live/ (after dropping "www.")
+  const VIDEO_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+  const SHORT_LINK_HOST = 'youtu.be';
+  // Path prefixes followed by the video ID; /v/ is the legacy embed form
+  const PATH_FORMS = ['shorts', 'embed', 'live', 'v'];
+  const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+  /**
+   * Parse a YouTube URL.
+   * @param {string} url The URL.
+   * @returns {{host: string, form: string|null, videoId: string|null}|null} null for
+   *   non-YouTube URLs; videoId (and form: 'watch', 'shorts', 'embed', 'live', 'v'
+   *   or 'short-link') is null for YouTube pages that are not a video, e.g. a channel.
+   */
+  function parseYouTubeUrl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') return null;
+
+    const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const segments = urlObj.pathname.split('/').filter(Boolean);
+
+    let form = null;
+    let candidate = null;
+    if (host === SHORT_LINK_HOST) {
+      form = 'short-link';
+      candidate = segments[0];
+    } else if (VIDEO_HOSTS.includes(host)) {
+      if (segments[0] === 'watch') {
+        form = 'watch';
+        candidate = urlObj.searchParams.get('v');
+      } else if (PATH_FORMS.includes(segments[0])) {
+        form = segments[0];
+        candidate = segments[1];
+      }
+    } else {
+      return null;
+    }
+
+    const videoId = candidate && VIDEO_ID.test(candidate) ? candidate : null;
+    return { host, form: videoId ? form : null, videoId };
+  }
+
+  /**
+   * Whether a URL belongs to YouTube (any host, video or not).
+   * @param {string} url The URL.
+   * @returns {boolean}
+   */
+  function isYouTubeUrl(url) {
+    return parseYouTubeUrl(url) !== null;
+  }
+
+  /**
+   * Extract the video ID from a YouTube URL.
+   * @param {string} url The URL.
+   * @returns {string|null} The 11-character video ID, or null.
+   */
+  function getYouTubeVideoId(url) {
+    const parsed = parseYouTubeUrl(url);
+    return parsed ? parsed.videoId : null;
+  }
+
+  /**
+   * The canonical watch URL of a video.
+   * @param {string} videoId The video ID.
+   * @returns {string}
+   */
+  function canonicalVideoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  return { parseYouTubeUrl, isYouTubeUrl, getYouTubeVideoId, canonicalVideoUrl };
+});
@@ -1,20 +1,24 @@
 // sql.js loader for BattleTask Chrome Extension
-// This file loads sql.js (SQLite compiled to WebAssembly) for use in browser
+// This file loads sql.js (SQLite compiled to WebAssembly) from the copy bundled
+// in vendor/sql.js (see scripts/vendor-sqljs.js). MV3 only allows the
+// extension's own scripts, so it cannot come from a CDN.
+//
+// Load it after the library, e.g. in the service worker:
+//   importScripts('vendor/sql.js/sql-wasm.js', 'sql.js');
 
-// Use CDN for sql.js
-export async function loadSqlJs() {
-  if (window.initSqlJs) return window.initSqlJs;
-  return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.js';
-    script.onload = () => {
-      window.initSqlJs({
-        locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
-      }).then(SQL => {
-        resolve(SQL);
-      }).catch(reject);
-    };
-    script.onerror = reject;
-    document.head.appendChild(script);
-  });
+let sqlJsPromise = null;
+
+/**
+ * Initialize sql.js once, with the bundled WebAssembly binary
+ * @returns {Promise<Object>} The sql.js module (SQL.Database etc.)
+ */
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = initSqlJs({
+      locateFile: file => chrome.runtime.getURL(`vendor/sql.js/${file}`)
+    });
+    // Let the next call try again instead of keeping a failed load
+    sqlJsPromise.catch(() => { sqlJsPromise = null; });
+  }
+  return sqlJsPromise;
 }
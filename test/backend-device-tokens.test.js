@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startBackend, postJson } = require('./helpers/backend');
+
+const VIDEO = { title: 'Linear algebra lecture 1: vectors and matrices', url: 'https://www.youtube.com/watch?v=abc123DEF45' };
+
+test('requests without a device token are accepted by default', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.stop);
+
+  const { status, body } = await postJson(`${backend.url}/api/v2/analyze/video`, VIDEO);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+});
+
+test('DEVICE_TOKENS_REQUIRED=true rejects requests without a device token', async (t) => {
+  const backend = await startBackend({ DEVICE_TOKENS_REQUIRED: 'true' });
+  t.after(backend.stop);
+
+  const rejected = await postJson(`${backend.url}/api/v2/analyze/video`, VIDEO);
+  assert.strictEqual(rejected.status, 401);
+  assert.strictEqual(rejected.body.error.code, 'device_token_required');
+
+  const registered = await postJson(`${backend.url}/api/register-device`, {});
+  const accepted = await postJson(`${backend.url}/api/v2/analyze/video`, VIDEO, { 'X-Device-Token': registered.body.token });
+  assert.strictEqual(accepted.status, 200);
+});
+
+test('v1 routes need a device token as well once tokens are required', async (t) => {
+  const backend = await startBackend({ DEVICE_TOKENS_REQUIRED: 'true' });
+  t.after(backend.stop);
+
+  for (const [route, body] of [['/api/analyze-title', VIDEO], ['/api/classify-batch', { items: [VIDEO] }]]) {
+    const rejected = await postJson(`${backend.url}${route}`, body);
+    assert.strictEqual(rejected.status, 401, route);
+    assert.strictEqual(rejected.body.error.code, 'device_token_required', route);
+  }
+
+  const registered = await postJson(`${backend.url}/api/register-device`, {});
+  const accepted = await postJson(`${backend.url}/api/analyze-title`, VIDEO, { 'X-Device-Token': registered.body.token });
+  assert.strictEqual(accepted.status, 200);
+  assert.ok(accepted.headers.get('Deprecation'));
+});
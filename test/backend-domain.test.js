@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startBackend, postJson } = require('./helpers/backend');
+
+test('a blank domain is rejected on the v2 and v1 routes', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.stop);
+
+  for (const route of ['/api/v2/analyze/domain', '/api/classify-domain']) {
+    const { status, body } = await postJson(`${backend.url}${route}`, { domain: '   ' });
+    assert.strictEqual(status, 400, route);
+    assert.strictEqual(body.error.code, 'invalid_request', route);
+  }
+});
+
+test('a domain is trimmed before it is classified', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.stop);
+
+  const { status, body } = await postJson(`${backend.url}/api/v2/analyze/domain`, { domain: '  wikipedia.org ' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.result.domain, 'wikipedia.org');
+});
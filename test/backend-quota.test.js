@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startBackend, postJson } = require('./helpers/backend');
+
+test('registering a device does not use up analysis quota', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.stop);
+
+  const registered = await postJson(`${backend.url}/api/register-device`, {});
+  assert.strictEqual(registered.status, 200);
+
+  const response = await fetch(`${backend.url}/api/quota`);
+  const quota = await response.json();
+  assert.strictEqual(quota.used, 0);
+  assert.strictEqual(quota.remaining, quota.limit);
+});
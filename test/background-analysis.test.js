@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, jsonResponse } = require('./helpers/background');
+const { startBackend } = require('./helpers/backend');
+const { createPromptSelector } = require('../server/prompt-registry');
+const servedLists = require('../server/domain-lists.json');
+
+/**
+ * Put the user on a page that has been visible for a while, so the next
+ * updateTimeTracking() counts `elapsed` milliseconds for it
+ */
+function visit(bg, url, elapsed) {
+  const domain = new URL(url).hostname;
+  bg.set('isWindowActive', true);
+  bg.set('isTabVisible', true);
+  bg.set('currentTab', {
+    id: 7,
+    url,
+    domain,
+    title: 'A page',
+    isAnalyzing: false,
+    lastUpdateTime: Date.now() - elapsed,
+  });
+  bg.set('domainTracking', {
+    [domain]: { productiveTime: 10000, nonProductiveTime: 0, productiveScore: 0, nonProductiveScore: 0 },
+  });
+}
+
+test('an unclassified page is shown as not rated and adds no non-productive time', async () => {
+  const bg = await loadBackground();
+  const url = 'https://example.org/some/page';
+  visit(bg, url, 3000);
+
+  await bg.run(`applyAnalysisResult(${JSON.stringify(url)}, { status: 'unclassified', explanation: 'Not enough text' })`);
+  const tab = bg.get('currentTab');
+  assert.strictEqual(tab.degraded, true);
+  assert.strictEqual(tab.isProductive, null);
+  assert.strictEqual(tab.explanation, 'Not enough text');
+
+  await bg.run('updateTimeTracking()');
+  assert.strictEqual(bg.get('stats').nonProductiveTime, 0);
+  assert.strictEqual(bg.get('domainTracking')['example.org'].nonProductiveTime, 0);
+});
+
+test('with the daily quota used up, titles and page content both leave the page not rated', async () => {
+  const bg = await loadBackground();
+  const url = 'https://example.org/article';
+  bg.set('quota', { limit: 300, used: 300, remaining: 0, resetTime: Date.now() + 60 * 60 * 1000 });
+  const requestsBefore = bg.requests.length;
+
+  for (const analyze of [
+    `analyzeTabTitle('An article', ${JSON.stringify(url)}, true)`,
+    `analyzeContent('An article', ${JSON.stringify(url)}, { text: 'Some text' }, true)`,
+  ]) {
+    visit(bg, url, 3000);
+    await bg.run(analyze);
+    const tab = bg.get('currentTab');
+    assert.strictEqual(tab.degraded, true, analyze);
+    assert.strictEqual(tab.isProductive, null, analyze);
+    assert.match(tab.explanation, /Daily analysis limit reached/);
+  }
+  assert.strictEqual(bg.requests.length, requestsBefore);
+});
+
+test('a YouTube watch URL reaches per-video analysis, with the synced lists and with the bundled ones', async () => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  for (const syncLists of [true, false]) {
+    const bg = await loadBackground({
+      fetch: async route => {
+        if (route.endsWith('/api/register-device')) return jsonResponse({ success: true, deviceId: 'd', token: 't' });
+        if (route.endsWith('/api/domain-lists')) {
+          return syncLists ? jsonResponse({ success: true, ...servedLists }) : jsonResponse({}, 503);
+        }
+        if (route.endsWith('/api/v2/analyze/domain')) {
+          return jsonResponse({ success: true, result: { type: 'domain', status: 'classified', classification: 'mixed', isProductive: null, score: null } });
+        }
+        if (route.endsWith('/api/v2/analyze/video')) {
+          return jsonResponse({ success: true, result: { type: 'video', status: 'classified', verdict: 'productive', isProductive: true, score: 90, categories: ['Education'], explanation: 'A lecture' } });
+        }
+        return jsonResponse({}, 404);
+      },
+    });
+    await bg.run('syncDomainLists()');
+    assert.strictEqual(bg.get('domainLists') !== null, syncLists);
+
+    visit(bg, url, 3000);
+    await bg.run(`analyzeTabTitle('Lecture 1', ${JSON.stringify(url)}, true)`);
+    const tab = bg.get('currentTab');
+    assert.strictEqual(tab.stage, 'page');
+    assert.strictEqual(tab.isProductive, true);
+    assert.ok(bg.requests.some(request => request.url.endsWith('/api/v2/analyze/video')));
+  }
+});
+
+test('a verdict counts for its stage once, not every time a cached verdict is shown again', async () => {
+  const bg = await loadBackground();
+  const url = 'https://example.org/article';
+  visit(bg, url, 3000);
+
+  await bg.run(`applyAnalysisResult(${JSON.stringify(url)}, { status: 'classified', score: 80, verdict: 'productive', explanation: 'An article' })`);
+  assert.deepStrictEqual(bg.get('stats').verdictStages, { page: 1 });
+
+  // Coming back to the page re-applies the cached page verdict
+  await bg.run(`analyzeTabTitle('An article', ${JSON.stringify(url)})`);
+  assert.strictEqual(bg.get('currentTab').stage, 'page');
+
+  // A page on a domain classified earlier gets the cached domain verdict
+  bg.set('domainClassifications', {
+    'docs.example.net': { classification: 'always_productive', confidence: 0.9, explanation: 'Docs', promptVersion: 'domain-v2', timestamp: Date.now() },
+  });
+  visit(bg, 'https://docs.example.net/guide', 3000);
+  await bg.run(`analyzeTabTitle('A guide', 'https://docs.example.net/guide', true)`);
+  assert.strictEqual(bg.get('currentTab').stage, 'domain');
+
+  assert.deepStrictEqual(bg.get('stats').verdictStages, { page: 1 });
+});
+
+test('a YouTube video goes through both stages of the real backend', async (t) => {
+  const backend = await startBackend();
+  t.after(backend.stop);
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  const bg = await loadBackground({
+    fetch: (route, init) => fetch(route.replace(/^https:\/\/[^/]+/, backend.url), init),
+  });
+
+  visit(bg, url, 3000);
+  await bg.run(`analyzeTabTitle('Linear algebra lecture 1', ${JSON.stringify(url)}, true)`);
+  assert.strictEqual(bg.get('domainClassifications')['www.youtube.com'].classification, 'mixed');
+  const tab = bg.get('currentTab');
+  assert.strictEqual(tab.stage, 'page');
+  assert.strictEqual(tab.isProductive, true);
+  assert.ok(bg.requests.some(request => request.url.endsWith('/api/v2/analyze/video')));
+});
+
+/**
+ * A backend whose domain stage answers youtube.com as a whole with the given
+ * prompt version, and whose lists name the versions it serves
+ */
+function youTubeBackend({ domainPromptVersion, domainPromptVersions }) {
+  return async route => {
+    if (route.endsWith('/api/register-device')) return jsonResponse({ success: true, deviceId: 'd', token: 't' });
+    if (route.endsWith('/api/domain-lists')) return jsonResponse({ success: true, ...servedLists, domainPromptVersions });
+    if (route.endsWith('/api/v2/analyze/domain')) {
+      return jsonResponse({ success: true, result: { type: 'domain', status: 'classified', classification: 'always_unproductive', isProductive: false, score: 0, promptVersion: domainPromptVersion } });
+    }
+    if (route.endsWith('/api/v2/analyze/video')) {
+      return jsonResponse({ success: true, result: { type: 'video', status: 'classified', verdict: 'productive', isProductive: true, score: 90, categories: ['Education'], explanation: 'A lecture' } });
+    }
+    return jsonResponse({}, 404);
+  };
+}
+
+test('a whole-domain verdict from a prompt without the mixed class does not stop video analysis', async () => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  const bg = await loadBackground({ fetch: youTubeBackend({ domainPromptVersion: 'domain-v1', domainPromptVersions: ['domain-v1'] }) });
+  await bg.run('syncDomainLists()');
+
+  visit(bg, url, 3000);
+  await bg.run(`analyzeTabTitle('Lecture 1', ${JSON.stringify(url)}, true)`);
+  const tab = bg.get('currentTab');
+  assert.strictEqual(tab.stage, 'page');
+  assert.strictEqual(tab.isProductive, true);
+  assert.ok(bg.requests.some(request => request.url.endsWith('/api/v2/analyze/video')));
+  // Kept as mixed, so the next video on the site skips the domain stage
+  assert.strictEqual(bg.get('domainClassifications')['www.youtube.com'].classification, 'mixed');
+});
+
+test('domain classifications from a prompt version the backend no longer serves are dropped', async () => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  const served = createPromptSelector().select('domain', 'domain:youtube.com');
+  const bg = await loadBackground({
+    storage: {
+      domainClassifications: {
+        'www.youtube.com': { classification: 'always_unproductive', confidence: 0.9, explanation: 'Videos', promptVersion: 'domain-v1', timestamp: Date.now() },
+        'docs.example.net': { classification: 'always_productive', confidence: 0.9, explanation: 'Docs', promptVersion: 'domain-v3', timestamp: Date.now() },
+        'shop.example.net': { classification: 'always_unproductive', confidence: 0.9, explanation: 'Shop', promptVersion: served, timestamp: Date.now() },
+      },
+    },
+    fetch: youTubeBackend({ domainPromptVersion: served, domainPromptVersions: [served] }),
+  });
+  await bg.run('syncDomainLists()');
+  assert.deepStrictEqual(Object.keys(bg.get('domainClassifications')), ['shop.example.net']);
+  assert.deepStrictEqual(Object.keys(bg.chrome.storage.local.data.domainClassifications), ['shop.example.net']);
+
+  // The stale whole-domain verdict no longer applies; the domain is asked again
+  visit(bg, url, 3000);
+  await bg.run(`analyzeTabTitle('Lecture 1', ${JSON.stringify(url)}, true)`);
+  assert.strictEqual(bg.get('domainClassifications')['www.youtube.com'].promptVersion, served);
+  assert.ok(bg.requests.some(request => request.url.endsWith('/api/v2/analyze/domain')));
+});
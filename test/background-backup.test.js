@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./helpers/background');
+
+function backup(data) {
+  return { format: 'battletask-backup', version: 1, exportedAt: new Date().toISOString(), data };
+}
+
+test('a backup with malformed stats or settings is rejected and nothing is written', async () => {
+  const bg = await loadBackground();
+  const before = JSON.stringify(bg.chrome.storage.local.data);
+
+  const broken = [
+    [{ stats: { productiveTime: '1000', nonProductiveTime: 0 } }, /stats\.productiveTime/],
+    [{ stats: { productiveTime: 1000 } }, /stats\.nonProductiveTime/],
+    [{ domainTracking: { 'example.org': { productiveTime: 5, nonProductiveTime: null } } }, /domainTracking\.example\.org\.nonProductiveTime/],
+    [{ history: [{ date: '2026-10-01', productiveTime: 5, nonProductiveTime: 5, domains: { 'example.org': 'lots' } }] }, /history\[0\]\.domains\.example\.org/],
+    [{ settings: { idleThresholdSeconds: 5 } }, /settings\.idleThresholdSeconds/],
+    [{ settings: { profile: 42 } }, /settings\.profile/],
+  ];
+  for (const [data, message] of broken) {
+    const response = await bg.sendMessage({ action: 'importData', backup: backup(data), mode: 'replace' });
+    assert.strictEqual(response.success, false);
+    assert.match(response.error, message);
+  }
+  assert.strictEqual(JSON.stringify(bg.chrome.storage.local.data), before);
+});
+
+test('a replace import applies the restored idle threshold and profile', async () => {
+  const bg = await loadBackground({ storage: { settings: { theme: 'light', profile: 'default' } } });
+  const intervals = [];
+  bg.chrome.idle.setDetectionInterval = seconds => intervals.push(seconds);
+  bg.set('domainClassifications', { 'example.org': { classification: 'always_productive', timestamp: Date.now() } });
+  bg.idleState = 'idle';
+  // The history archive lives in IndexedDB, which the harness does not have
+  bg.run('HistoryArchive.clear = async () => {}; HistoryArchive.getRange = async () => []; HistoryArchive.archiveDay = async () => {}');
+
+  const response = await bg.sendMessage({
+    action: 'importData',
+    mode: 'replace',
+    backup: backup({
+      stats: { productiveTime: 60000, nonProductiveTime: 0 },
+      statsResetDate: bg.run('getTodayString()'),
+      settings: { theme: 'dark', profile: 'student', idleThresholdSeconds: 120 },
+    }),
+  });
+  assert.strictEqual(response.success, true, response.error);
+
+  assert.deepStrictEqual(intervals, [120]);
+  assert.strictEqual(bg.get('idleState'), 'idle');
+  assert.deepStrictEqual(bg.get('domainClassifications'), {});
+  // Today's stats come back complete, so tracking can add to them
+  const stats = bg.get('stats');
+  assert.strictEqual(stats.productiveTime, 60000);
+  assert.deepStrictEqual(stats.hourlyTime, {});
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, jsonResponse } = require('./helpers/background');
+
+/**
+ * A backend that registers devices and serves the domain lists
+ */
+function backend(url) {
+  if (url.endsWith('/api/register-device')) {
+    return jsonResponse({ success: true, deviceId: 'device-1', token: 'token-1', expiresAt: new Date(Date.now() + 86400000).toISOString() });
+  }
+  if (url.endsWith('/api/domain-lists')) {
+    return jsonResponse({ version: 2, productive: ['github.com'], unproductive: ['netflix.com'] });
+  }
+  return jsonResponse({ success: false, error: { code: 'not_found', message: 'Not found' } }, 404);
+}
+
+test('a domain list sync alarm that wakes the service worker is handled', async () => {
+  const bg = await loadBackground({ fetch: backend });
+  const syncs = () => bg.requests.filter(request => request.url.endsWith('/api/domain-lists')).length;
+  const before = syncs();
+
+  await Promise.all(bg.listenersAtLoad.alarms.map(listener => listener({ name: 'syncDomainLists' })));
+  assert.strictEqual(syncs(), before + 1);
+});
+
+test('an analysis queue replay alarm or the network coming back replays queued analyses', async () => {
+  for (const wake of ['alarm', 'online']) {
+    const queued = {
+      route: '/api/v2/analyze/page',
+      body: { title: 'Docs', url: 'https://example.org/docs', domain: 'example.org' },
+      url: 'https://example.org/docs',
+      queuedAt: Date.now() - 60000,
+    };
+    const bg = await loadBackground({ storage: { analysisQueue: [queued] } });
+    assert.strictEqual(bg.get('AnalysisClient.queue').length, 1);
+
+    // The network is back
+    bg.fetch = async url => {
+      if (url.endsWith('/api/v2/analyze/page')) {
+        return jsonResponse({ success: true, result: { type: 'page', status: 'classified', verdict: 'productive', isProductive: true, score: 80, explanation: 'Docs' } });
+      }
+      return backend(url);
+    };
+    const listeners = wake === 'alarm' ? bg.listenersAtLoad.alarms : bg.listenersAtLoad.online;
+    await Promise.all(listeners.map(listener => listener({ name: bg.get('AnalysisClient.REPLAY_ALARM') })));
+
+    assert.strictEqual(bg.get('AnalysisClient.queue').length, 0, wake);
+    assert.ok(bg.requests.some(request => request.url.endsWith('/api/v2/analyze/page')), wake);
+  }
+});
+
+test('an idle state change that wakes the service worker is handled', async () => {
+  const bg = await loadBackground({ fetch: backend });
+  assert.strictEqual(bg.listenersAtLoad.idle.length, 1);
+
+  await Promise.all(bg.listenersAtLoad.idle.map(listener => listener('locked')));
+  assert.strictEqual(bg.get('idleState'), 'locked');
+  assert.strictEqual(await bg.run('isUserAway()'), true);
+
+  await Promise.all(bg.listenersAtLoad.idle.map(listener => listener('active')));
+  assert.strictEqual(await bg.run('isUserAway()'), false);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./helpers/background');
+
+const PAGE_URL = 'https://games.example/play';
+
+/**
+ * Productive mode on, and an unproductive page that has been open for 5 seconds
+ * of the block delay, with the timer last updated `sinceUpdate` ms ago
+ */
+function onUnproductivePage(bg, sinceUpdate) {
+  const now = Date.now();
+  bg.set('isWindowActive', true);
+  bg.set('isTabVisible', true);
+  bg.set('currentTab', {
+    id: 7,
+    url: PAGE_URL,
+    domain: 'games.example',
+    title: 'A game',
+    isAnalyzing: false,
+    isProductive: false,
+    score: 10,
+    categories: ['Gaming'],
+    explanation: 'A game',
+    lastUpdateTime: now - 1000,
+  });
+  bg.set('domainTracking', {
+    'games.example': { productiveTime: 0, nonProductiveTime: 5000, productiveScore: 0, nonProductiveScore: 10 },
+  });
+  bg.run(`CacheManager.addToCache(${JSON.stringify(PAGE_URL)}, { isProductive: false, score: 10 })`);
+  bg.set('productiveMode', {
+    enabled: true,
+    unproductiveStartTime: now - sinceUpdate - 5000,
+    activeTabTime: 5000,
+    lastActiveTimestamp: now - sinceUpdate,
+    urlTimers: { [PAGE_URL]: 5000 },
+  });
+}
+
+test('time away does not count towards blocking an unproductive page', async () => {
+  const bg = await loadBackground();
+  const blocked = [];
+  bg.chrome.tabs.update = (tabId, change) => blocked.push(change.url);
+
+  // The user went idle ten minutes ago; the last tick before returning is still away
+  onUnproductivePage(bg, 10 * 60 * 1000);
+  bg.set('idleState', 'locked');
+  await bg.run('updateTimeTracking()');
+  assert.strictEqual(bg.get('productiveMode').lastActiveTimestamp, null);
+  assert.ok(bg.get('stats').awayTime >= 1000);
+
+  // Back at the computer
+  bg.set('idleState', 'active');
+  bg.run('currentTab.lastUpdateTime = Date.now() - 1000');
+  await bg.run('updateTimeTracking()');
+  const productiveMode = bg.get('productiveMode');
+  assert.deepStrictEqual(blocked, []);
+  assert.ok(productiveMode.activeTabTime < bg.get('CONFIG.PRODUCTIVE_MODE_BLOCK_DELAY'));
+  assert.ok(productiveMode.lastActiveTimestamp, 'the timer resumes once the user is back');
+});
+
+test('a new idle threshold applies to the current idle state right away', async () => {
+  const bg = await loadBackground();
+  assert.strictEqual(bg.get('idleState'), 'active');
+
+  bg.idleState = 'idle';
+  const response = await bg.sendMessage({ action: 'setIdleThreshold', seconds: 60 });
+  assert.strictEqual(response.success, true);
+  assert.strictEqual(bg.get('idleState'), 'idle');
+  assert.strictEqual(bg.chrome.storage.local.data.settings.idleThresholdSeconds, 60);
+});
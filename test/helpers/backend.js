@@ -0,0 +1,78 @@
+/**
+ * Start backend.js in a child process for API tests. It uses the heuristic
+ * classifier and keeps the cache and feedback log in memory, so tests need no
+ * API key and write no files.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {Object} [env] Extra environment variables, e.g. { DEVICE_TOKENS_REQUIRED: 'true' }
+ * @returns {Promise<{url: string, stop: Function}>} The base URL, and a function that stops the server
+ */
+function startBackend(env = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['backend.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      CLASSIFIER_PROVIDER: 'heuristic',
+      CACHE_FILE: '',
+      FEEDBACK_FILE: '',
+      DEVICE_TOKEN_SECRET: 'test-secret',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`backend.js did not start:\n${output}`));
+    }, 10000);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        child.stdout.off('data', onData);
+        // Keep draining the output so the child never blocks on a full pipe
+        child.stdout.resume();
+        resolve({ url: `http://127.0.0.1:${port}`, stop });
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`backend.js exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * POST a JSON body and return the status and parsed response
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} [headers]
+ */
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+module.exports = { startBackend, postJson };
@@ -0,0 +1,226 @@
+/**
+ * Load background.js into a sandbox with a fake `chrome`, so the service
+ * worker's logic can be driven from tests without a browser.
+ *
+ * Every chrome API the script touches is stubbed: functions resolve to
+ * undefined (and call a trailing callback), `on*` events record their
+ * listeners. storage.local, tabs, windows and idle get small in-memory fakes.
+ * Intervals are recorded but never run; tests call the tracked functions
+ * themselves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SOURCE = fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8');
+
+/**
+ * A chrome.* event that records its listeners
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => Promise.all(listeners.map(listener => listener(...args))),
+  };
+}
+
+/**
+ * A chrome namespace: known members come from `members`, `on*` properties are
+ * events and anything else is a function that resolves to undefined
+ */
+function createNamespace(members = {}) {
+  return new Proxy(members, {
+    get(target, name) {
+      if (typeof name !== 'string') return undefined;
+      if (!(name in target)) {
+        target[name] = name.startsWith('on')
+          ? createEvent()
+          : (...args) => {
+            const callback = args[args.length - 1];
+            if (typeof callback === 'function') callback();
+            return Promise.resolve();
+          };
+      }
+      return target[name];
+    },
+  });
+}
+
+/**
+ * An in-memory chrome.storage.local
+ */
+function createStorage(initial) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return copy(data);
+      const result = {};
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      for (const name of names) {
+        if (name in data) result[name] = copy(data[name]);
+        else if (name in defaults) result[name] = defaults[name];
+      }
+      return result;
+    },
+    async set(items) {
+      for (const [name, value] of Object.entries(items)) data[name] = copy(value);
+    },
+    async remove(keys) {
+      for (const name of [].concat(keys)) delete data[name];
+    },
+    async clear() {
+      for (const name of Object.keys(data)) delete data[name];
+    },
+  };
+}
+
+/**
+ * A JSON response for the fetch stub
+ * @param {*} body
+ * @param {number} [status]
+ */
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Load background.js and wait for init() to finish
+ * @param {Object} [options]
+ * @param {Object} [options.storage] Initial chrome.storage.local contents
+ * @param {Function} [options.fetch] (url, init) => Response; rejects like an offline network by default
+ * @param {string} [options.idleState] What chrome.idle.queryState answers
+ * @returns {Promise<Object>} The harness: run/get/set on the script's scope, chrome, requests
+ */
+async function loadBackground({ storage = {}, fetch, idleState = 'active' } = {}) {
+  const requests = [];
+  const intervals = [];
+  const windowEvents = {};
+  const harness = {
+    requests,
+    intervals,
+    idleState,
+    fetch: fetch || (async () => { throw new TypeError('Failed to fetch'); }),
+  };
+
+  const chrome = {
+    runtime: createNamespace({
+      lastError: undefined,
+      id: 'battletask-test',
+      getURL: file => `chrome-extension://battletask-test/${file}`,
+    }),
+    storage: { local: createStorage(storage) },
+    tabs: createNamespace({
+      get: async id => ({ id, url: 'about:blank', title: '' }),
+      query: async () => [],
+    }),
+    windows: createNamespace({
+      WINDOW_ID_NONE: -1,
+      getCurrent: callback => callback({ id: 1, focused: true }),
+    }),
+    idle: createNamespace({
+      queryState: async () => harness.idleState,
+    }),
+    alarms: createNamespace(),
+    action: createNamespace(),
+    notifications: createNamespace(),
+    scripting: createNamespace(),
+  };
+  harness.chrome = chrome;
+
+  const quiet = () => {};
+
+  const sandbox = {
+    chrome,
+    navigator: { platform: 'Linux' },
+    console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: quiet },
+    fetch: async (url, init) => {
+      requests.push({ url: String(url), init, body: init && init.body ? JSON.parse(init.body) : null });
+      return harness.fetch(String(url), init);
+    },
+    setTimeout: (...args) => {
+      const timer = setTimeout(...args);
+      timer.unref();
+      return timer;
+    },
+    clearTimeout,
+    setInterval: (callback, delay) => {
+      intervals.push({ callback, delay });
+      return intervals.length;
+    },
+    clearInterval: quiet,
+    AbortController,
+    URL,
+    URLSearchParams,
+    Response,
+    Blob,
+    TextEncoder,
+    TextDecoder,
+    indexedDB: {
+      open() {
+        const request = { error: new Error('IndexedDB is not available in tests') };
+        setImmediate(() => request.onerror && request.onerror());
+        return request;
+      },
+    },
+    addEventListener: (type, listener) => {
+      (windowEvents[type] = windowEvents[type] || []).push(listener);
+    },
+    importScripts: (...files) => {
+      for (const file of files) {
+        if (file === 'shared/youtube-url.js') {
+          vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+        }
+      }
+      // sql.js needs WebAssembly and the extension's URLs; the session log stays closed
+      context.loadSqlJs = () => Promise.reject(new Error('sql.js is not available in tests'));
+    },
+  };
+  sandbox.self = sandbox;
+  harness.windowEvents = windowEvents;
+
+  const context = vm.createContext(sandbox);
+  vm.runInContext(SOURCE, context, { filename: 'background.js' });
+  // Listeners registered before the first await: the only ones that receive the
+  // event that woke the service worker
+  harness.listenersAtLoad = {
+    alarms: [...chrome.alarms.onAlarm.listeners],
+    idle: [...chrome.idle.onStateChanged.listeners],
+    online: [...(windowEvents.online || [])],
+  };
+  await vm.runInContext('initPromise', context);
+
+  /** Evaluate an expression in the script's scope */
+  harness.run = code => vm.runInContext(code, context);
+  /** Read a top-level binding, as plain JSON */
+  harness.get = name => {
+    const value = vm.runInContext(name, context);
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  };
+  /** Assign a top-level binding */
+  harness.set = (name, value) => {
+    context.__testValue = value;
+    vm.runInContext(`${name} = __testValue`, context);
+    delete context.__testValue;
+  };
+  /** Send a runtime message the way the popup does, resolving with the response */
+  harness.sendMessage = message => new Promise(resolve => {
+    const listeners = chrome.runtime.onMessage.listeners;
+    for (const listener of listeners) listener(message, {}, resolve);
+  });
+
+  return harness;
+}
+
+module.exports = { loadBackground, jsonResponse };
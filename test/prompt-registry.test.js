@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASKS, createPromptSelector } = require('../server/prompt-registry');
+
+test('every domain is classified with the mixed-aware domain-v2', () => {
+  assert.strictEqual(TASKS.domain.active, 'domain-v2');
+
+  const selector = createPromptSelector();
+  for (const domain of ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'twitter.com', 'medium.com', 'news.ycombinator.com']) {
+    assert.strictEqual(selector.select('domain', `domain:${domain}`), 'domain-v2', domain);
+  }
+});
+
+test('a candidate gets its split of the traffic, consistently per item', () => {
+  const tasks = { ...TASKS, page: { active: 'content-v1', candidate: 'youtube-v1', candidatePercent: 20 } };
+  const selector = createPromptSelector({ tasks });
+  const versions = Array.from({ length: 1000 }, (_, i) => selector.select('page', `page:site-${i}.example`));
+  const share = versions.filter(version => version === 'youtube-v1').length / versions.length;
+  assert.ok(Math.abs(share - 0.2) < 0.05, `candidate share was ${share}`);
+  assert.strictEqual(selector.select('page', 'page:a.example'), selector.select('page', 'page:a.example'));
+});
+
+test('PROMPT_CANDIDATE_PERCENT overrides the split of every task', () => {
+  const tasks = { ...TASKS, page: { active: 'content-v1', candidate: 'youtube-v1', candidatePercent: 20 } };
+  assert.strictEqual(createPromptSelector({ tasks, candidatePercent: '0' }).select('page', null), 'content-v1');
+  assert.strictEqual(createPromptSelector({ tasks, candidatePercent: 100 }).select('page', null), 'youtube-v1');
+  assert.strictEqual(createPromptSelector({ tasks, candidatePercent: 100 }).select('domain', null), 'domain-v2');
+  assert.deepStrictEqual(createPromptSelector({ tasks, candidatePercent: '0' }).versions('page'), ['content-v1']);
+  assert.deepStrictEqual(createPromptSelector({ tasks }).versions('page'), ['content-v1', 'youtube-v1']);
+});
+
+test('a domain prompt that does not know the mixed class cannot be served', () => {
+  const tasks = { ...TASKS, domain: { active: 'domain-v2', candidate: 'domain-v1', candidatePercent: 20 } };
+  assert.throws(() => createPromptSelector({ tasks }), /does not know the "mixed" class/);
+});
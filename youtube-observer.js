@@ -24,20 +24,6 @@ function safeSendMessage(message, callback) {
 let currentVideoId = '';
 let currentVideoTitle = '';
 
-// Function to extract video ID from YouTube URL
-function getYouTubeVideoId(url) {
-  const urlObj = new URL(url);
-  // Handle regular YouTube video URLs
-  if (urlObj.pathname === '/watch') {
-    return urlObj.searchParams.get('v');
-  }
-  // Handle YouTube Shorts URLs
-  else if (urlObj.pathname.startsWith('/shorts/')) {
-    return urlObj.pathname.split('/')[2];
-  }
-  return null;
-}
-
 // Function to get the current video title
 function getVideoTitle() {
   // For regular videos
@@ -55,7 +41,8 @@ function getVideoTitle() {
 function checkForVideoChanges() {
   // Get current URL and video ID
   const url = window.location.href;
-  const videoId = getYouTubeVideoId(url);
+  // YouTubeUrl comes from shared/youtube-url.js, loaded before this script
+  const videoId = YouTubeUrl.getYouTubeVideoId(url);
   const videoTitle = getVideoTitle();
   
   // If video ID or title has changed, notify the background script